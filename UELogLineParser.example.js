@@ -0,0 +1,31 @@
+// Example line parser module for UELogParser, listed in textParsing.parserModules of the settings.
+// It reads the "[Shader] Warning: message" lines printed by a hypothetical shader compile worker.
+
+/** Matches a line like "[Shader] Warning: /Engine/Private/Foo.usf(12): implicit truncation" */
+const shaderLineRegex = /^\[Shader\]\s*(?<type>Error|Warning|Display):\s*(?<message>.*)$/;
+
+module.exports = {
+    name: "shader",
+    description: "Shader compile worker output",
+
+    /**
+     * @param {string} line 
+     * @returns {ParsedLine|null} Null for lines which are not a log
+     */
+    parseLine: (line) => {
+        const groups = line.match(shaderLineRegex)?.groups;
+        if(!groups) return null;
+        return {
+            logText: line.trim(),
+            category: "Shader",
+            type: groups.type,
+            message: groups.message.trim()
+        };
+    },
+
+    /**
+     * @param {Array.<string>} lines The first lines of a file
+     * @returns {number} Higher than the other parsers for files in this format
+     */
+    detect: (lines) => lines.filter(line => shaderLineRegex.test(line)).length
+};
@@ -1,7 +1,12 @@
 // Load dependencies
 const fs = require("fs");
-const settings = require("./UELogParserSettings.json");
-const colors = require("colors");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const zlib = require("zlib");
+const { StringDecoder } = require("string_decoder");
+const { Readable } = require("stream");
+const { Worker } = require("worker_threads");
 
 // JSDoc definitions
 
@@ -10,11 +15,151 @@ const colors = require("colors");
  * @type {Object}
  * 
  * @property {string} category The Log category the log is coming from
- * @property {string} type The type of message being displayed, usually display, verbose, warning or error 
+ * @property {string} type The verbosity of the log, one of verbosityLevels, "Log" when the line has none
  * @property {string} message The message that was output to the console
  * @property {string} logText The original log text scraped from the file
  * @property {number} count How many times this log has appeared
- * @property {Array.<string>} siblings Log Texts which have been identified as identical to this log
+ * @property {Array.<LogOccurrence>} siblings Occurrences which have been identified as identical to this log
+ * @property {Date} [timestamp] The time parsed from the "[2021.03.10-12.34.56:789]" prefix of the log
+ * @property {number} [frame] The frame counter parsed from the "[123]" prefix of the log
+ * @property {Date} [firstSeen] Earliest timestamp of this log or any of its siblings
+ * @property {Date} [lastSeen] Latest timestamp of this log or any of its siblings
+ * @property {number} [firstFrame] Lowest frame counter of this log or any of its siblings
+ * @property {number} [lastFrame] Highest frame counter of this log or any of its siblings
+ * @property {string} fingerprint The log text with volatile tokens masked, used to group similar logs
+ * @property {Array.<string>} variants Distinct log texts which share this fingerprint
+ * @property {Object.<string,Array.<string>>} maskedValues Distinct values replaced by each mask rule
+ * @property {string} [entryKind] Set to "ensure" or "critical" for logs which open a multi-line block
+ * @property {Array.<string>} [continuation] Lines after the log which belong to it, like callstacks and wrapped messages
+ * @property {Array.<StackFrame>} [callstack] Native callstack frames parsed from the continuation lines
+ * @property {Array.<StackFrame>} [scriptStack] Blueprint script stack frames parsed from the continuation lines
+ * @property {{condition: string, file: (string|undefined), line: (number|undefined)}} [ensure] The failed condition of an ensure
+ * @property {string} [owner] The owner from the ownership rules, "unowned" if no rule matched
+ * @property {Array.<string>} [assets] Packages and blueprints mentioned by the log or its variants, like "/Game/Maps/Arena" or "BP_Enemy"
+ * @property {Array.<SourceLocation>} [sourceLocations] Source files mentioned by the log or its variants, including the file of a failed ensure
+ * @property {string} [phase] The phase of the file the log first appeared in, like "Map Load" or "Gameplay"
+ * @property {Object.<string,number>} [phases] How many times the log appeared in each phase
+ * @property {string} [file] The file the log first appeared in
+ * @property {number} [sequence] Position of the log among the entries of the file it first appeared in, see LogOccurrence
+ * @property {Object.<string,number>} [files] How many times the log appeared in each file, used to split consolidated logs by the metadata of their files
+ */
+
+/**
+ * @typedef SourceLocation A source file mentioned in a log, like "Foo.cpp(123)"
+ * @type {Object}
+ * 
+ * @property {string} file The file as written in the log, with forward slashes
+ * @property {number} [line] The line in the file
+ */
+
+/**
+ * @typedef Suppression An entry of a suppressions file, hiding a known log which has been accepted for a reason
+ * @type {Object}
+ * 
+ * @property {string} [message] Regex in slashes, or text, tested against the log message
+ * @property {string} [fingerprint] Fingerprint of the log, see getFingerprint
+ * @property {string} [category] Only suppress logs in this category, * matches anything
+ * @property {string} reason Why the log is accepted, required so every suppression can be reviewed
+ * @property {Date} [expires] When the suppression stops hiding the log
+ * @property {function(LogObject):boolean} matches Checks whether a log matches the suppression, regardless of expiry
+ * @property {number} index Position of the suppression in the file
+ */
+
+/**
+ * @typedef SuppressionResult How a suppression applied to a set of logs
+ * @type {Object}
+ * 
+ * @property {Suppression} suppression 
+ * @property {boolean} expired Whether the suppression has expired, expired suppressions hide nothing
+ * @property {number} uniqueCount Number of unique logs the suppression matches
+ * @property {number} occurrenceCount Number of occurrences of the logs the suppression matches
+ * @property {number} suppressedCount Number of occurrences hidden by this suppression rather than an earlier one
+ * @property {boolean} stale Whether the suppression matches no log at all
+ */
+
+/**
+ * @typedef ParsedLine What a line parser read from a single line
+ * @type {Object}
+ * 
+ * @property {string} logText The text of the log, used to fingerprint and display it
+ * @property {string} [category] The Log category, or the tool which printed the line
+ * @property {string} [type] The verbosity of the line, one of verbosityLevels
+ * @property {string} [message] The message without the category and type
+ * @property {Date} [timestamp] When the line was printed
+ * @property {number} [frame] The frame counter the line was printed on
+ * @property {boolean} [continuation] Whether the line adds detail to the log before it, like a compiler note, rather than starting a new log
+ * @property {boolean} [leading] Whether the line adds detail to the log after it, like the include chain printed before a clang diagnostic
+ */
+
+/**
+ * @typedef LineParser Reads the lines of one log format, see registerLineParser
+ * @type {Object}
+ * 
+ * @property {string} name Name used to pick the parser in the options
+ * @property {string} [description] 
+ * @property {function(string):(ParsedLine|null)} parseLine Reads a single line, returning null for lines which are not a log
+ * @property {function(Array.<string>):number} [detect] Scores how likely a file is to be in this format from its first lines, the highest score is used
+ */
+
+/**
+ * @typedef PhaseMarker A log which starts a new phase of a file, see textParsing.phases
+ * @type {Object}
+ * 
+ * @property {string} phase Name of the phase the log starts
+ * @property {string} [category] Category the log must be in, * matches anything
+ * @property {string} [message] Regex in slashes, or text, the message must match
+ * @property {function(LogObject):boolean} matches Checks whether a log starts the phase
+ */
+
+/**
+ * @typedef FilterProfile A named filter expression in display.profiles, see parseFilterExpression
+ * @type {Object}
+ * 
+ * @property {string} expression 
+ * @property {string} [description] What the profile shows, listed by the command line help
+ */
+
+/**
+ * @typedef OwnershipRule A line of an ownership rules file, mapping logs to the team or person who owns them
+ * @type {Object}
+ * 
+ * @property {string} kind What the rule matches against, "category", "message" or "path"
+ * @property {string} pattern The pattern as written in the file
+ * @property {function(LogObject):boolean} matches Checks whether a log matches the rule
+ * @property {string} owner The owners listed for the rule, separated by spaces
+ * @property {number} line Line of the rules file the rule came from
+ */
+
+/**
+ * @typedef StackFrame A single frame of a native callstack or script stack
+ * @type {Object}
+ * 
+ * @property {string} function The function, including its class for native frames
+ * @property {string} [module] The dll, executable or shared library the function is in
+ * @property {string} [address] The program counter of the frame
+ * @property {string} [file] The source file of the function
+ * @property {number} [line] The line in the source file
+ * @property {string} raw The line the frame was parsed from
+ */
+
+/**
+ * @typedef MaskRule A rule for replacing a volatile token in a log message
+ * @type {Object}
+ * 
+ * @property {string} name Name of the rule, the matched text is replaced with "<name>"
+ * @property {RegExp} regex Global regex matching the volatile token
+ */
+
+/**
+ * @typedef LogOccurrence A single appearance of a log in a file
+ * @type {Object}
+ * 
+ * @property {string} logText The original log text scraped from the file
+ * @property {Date} [timestamp] The time parsed from the log prefix
+ * @property {number} [frame] The frame counter parsed from the log prefix
+ * @property {string} [phase] The phase of the file the occurrence was in
+ * @property {number} [sequence] Position of the occurrence among the entries of its file
+ * @property {string} [file] The file the occurrence was in
  */
 
 /**
@@ -24,577 +169,4431 @@ const colors = require("colors");
  * @property {number} totalCount Number of logs parsed
  * @property {Array.<LogObject>} uniqueList Set of unique log entries
  * @property {Object.<string,number>} categories Tracks the occurences of each category
- * @property {Object.<string,number>} typeCounts Tracks the occurences of each type
+ * @property {number} general Number of logs parsed without a category
+ * @property {Object.<string,number>} typeCounts Tracks the number of unique logs of each verbosity, see typeCountKeys
  * @property {Array.<LogInfo} dataList List of separate logInfo from each file
  * @property {string} [sourceFile] Optional field for the file which supplied the data
+ * @property {LogMetadata} [metadata] What the LogInit lines of the file say about the run, set on each per file log info
+ * @property {Object.<string,LogMetadata>} [fileMetadata] Metadata of each file parsed into the log info, by file name
+ * @property {Array.<FailedSource>} [failedSources] Logs which could not be read, or were cut short, while parsing into the log info
+ */
+
+/**
+ * @typedef FailedSource A log which could not be read, or could only be read in part
+ * @type {Object}
+ * 
+ * @property {string} path Path of the file, followed by the path in the archive for files in a zip archive
+ * @property {string} message What went wrong, as it was reported to the logger
+ */
+
+/**
+ * @typedef LogMetadata What the LogInit lines at the top of a log say about the run which wrote it, see metadataFields
+ * @type {Object}
+ * 
+ * @property {string} [engineVersion] Like "4.26.1-15226426+++UE4+Release-4.26"
+ * @property {string} [changelist] 
+ * @property {string} [branch] 
+ * @property {string} [buildConfiguration] Like "Development" or "Shipping"
+ * @property {string} [platform] "Windows", "Linux" or "Mac", read from the OS when the log does not name it
+ * @property {string} [os] 
+ * @property {string} [cpu] 
+ * @property {string} [gpu] 
+ * @property {string} [commandLine] 
  */
 
-console.clear();
+/**
+ * @typedef BaselineEntry A unique log saved from a previous run
+ * @type {Object}
+ * 
+ * @property {string} fingerprint Identity of the log, see getFingerprint
+ * @property {string} category 
+ * @property {string} type 
+ * @property {string} message 
+ * @property {number} count How many times the log appeared in the baseline run
+ */
 
+/**
+ * @typedef BaselineDelta A unique log whose count differs between the baseline and the current run
+ * @type {Object}
+ * 
+ * @property {string} fingerprint 
+ * @property {string} category 
+ * @property {string} type 
+ * @property {string} message 
+ * @property {number} baselineCount Count in the baseline run, 0 for new entries
+ * @property {number} currentCount Count in the current run, 0 for resolved entries
+ */
 
+/**
+ * @typedef BaselineComparison
+ * @type {Object}
+ * 
+ * @property {Array.<BaselineDelta>} newEntries Logs which did not appear in the baseline
+ * @property {Array.<BaselineDelta>} resolvedEntries Logs from the baseline which no longer appear
+ * @property {Array.<BaselineDelta>} increasedEntries Logs which appear more often than in the baseline
+ * @property {Array.<BaselineDelta>} decreasedEntries Logs which appear less often than in the baseline
+ * @property {number} unchangedCount Number of logs with the same count in both runs
+ */
 
-// ========================= Global Variables =========================
+/**
+ * @typedef HistoryRecord The results of one run, as appended to the history file
+ * @type {Object}
+ * 
+ * @property {string} label Name of the run, like a build number or changelist
+ * @property {string} createdAt ISO date of the run
+ * @property {number} totalCount Number of logs in the run
+ * @property {Object.<string,number>} typeCounts Number of unique logs of each verbosity, see typeCountKeys
+ * @property {Object.<string,{errors: number, warnings: number, total: number}>} categories Occurrences of errors, warnings and all logs in each category
+ * @property {Array.<BaselineEntry>} entries The unique logs of the run, keyed by fingerprint
+ */
+
+/**
+ * @typedef TrendEntry The history of a single unique log
+ * @type {Object}
+ * 
+ * @property {string} fingerprint 
+ * @property {string} category 
+ * @property {string} type 
+ * @property {string} message 
+ * @property {{label: string, createdAt: string}} firstSeen The first run the log appeared in
+ * @property {{label: string, createdAt: string}} lastSeen The last run the log appeared in
+ * @property {Array.<number>} counts Count in each of the recent runs, 0 where it did not appear
+ * @property {string} status "new" if it first appeared in the latest run, "regressed" if it came back during the 
+ * recent runs after missing from a run, "fixed" if it is missing from the latest run, otherwise "active"
+ */
+
+/**
+ * @typedef TrendReport How the logs changed over the recent runs
+ * @type {Object}
+ * 
+ * @property {Array.<{label: string, createdAt: string, totalCount: number, uniqueCount: number}>} runs The recent runs, oldest first
+ * @property {Array.<TrendEntry>} entries Every log seen in the recent runs, most frequent in the latest run first
+ * @property {Object.<string,{errors: Array.<number>, warnings: Array.<number>}>} categories Error and warning occurrences of each category in each recent run
+ */
+
+/**
+ * @typedef TimelineEntry One occurrence of a log, placed on the timeline of every process
+ * @type {Object}
+ * 
+ * @property {Date} timestamp When the occurrence was printed, corrected by the clock offset of its file
+ * @property {number} [frame] 
+ * @property {string} file The file the occurrence was in
+ * @property {string} role The role of the process which wrote the file, "server", "client" or "unknown"
+ * @property {string} logText 
+ * @property {LogObject} log The unique log the occurrence belongs to
+ */
+
+/**
+ * @typedef Timeline The logs of several processes, interleaved by when they were printed
+ * @type {Object}
+ * 
+ * @property {Array.<{file: string, role: string, clockOffset: number, entryCount: number}>} processes Each file on the timeline, in the order they were parsed
+ * @property {Array.<TimelineEntry>} entries Oldest first, entries printed at the same moment are kept in file order
+ * @property {number} untimedCount Occurrences left out because they have no timestamp
+ * @property {number} droppedCount Occurrences left out because they were past textParsing.maxSiblings
+ */
+
+/**
+ * @typedef RoleComparison Which warnings and errors the server and the clients share
+ * @type {Object}
+ * 
+ * @property {Array.<{log: LogObject, serverCount: number, clientCount: number}>} serverOnly 
+ * @property {Array.<{log: LogObject, serverCount: number, clientCount: number}>} clientOnly 
+ * @property {Array.<{log: LogObject, serverCount: number, clientCount: number}>} both 
+ */
+
+/**
+ * @typedef BudgetViolation A budget from the options which the logs went over
+ * @type {Object}
+ * 
+ * @property {string} budget Name of the budget, "maxErrors", "maxWarningsPerCategory", "maxUniquePerType" or "noNewFatal"
+ * @property {string} [target] The category or type the budget applies to
+ * @property {number} limit The most the budget allows
+ * @property {number} actual How many there were
+ * @property {Array.<LogObject>} logs The logs which counted towards the budget, most frequent first
+ */
+
+/**
+ * @typedef ParserOptions Options for parsing, filtering and exporting logs, shaped like UELogParserSettings.json
+ * @type {Object}
+ * 
+ * @property {boolean} [debug] Whether debug messages are passed to the logger
+ * @property {Object} [textParsing] Options for how logs are parsed and grouped
+ * @property {Object} [display] Options for which logs are displayed, including the filters
+ * @property {Object} [baseline] Paths of the baseline files to save and compare against
+ * @property {Object} [export] Paths of the machine readable reports to write
+ * @property {Object} [budgets] Limits on the logs, see checkBudgets
+ * @property {Object} [history] Where runs are recorded, and how many the trend report covers
+ * @property {Object} [timeline] The role and clock offset of each file, see buildTimeline
+ * @property {Logger} [logger] Receives progress and validation messages, defaults to discarding them
+ * @property {function(ParseProgress):void} [onProgress] Called as each chunk of a streamed file is read, from several files at once when parsing in workers
+ */
+
+/**
+ * @typedef ParseProgress How far through the files streamLogFiles is
+ * @type {Object}
+ * 
+ * @property {string} fileName Name of the file being read
+ * @property {number} fileIndex Index of the file being read
+ * @property {number} fileCount Number of files being read
+ * @property {number} bytesRead Bytes of the current file read so far
+ * @property {number} totalBytes Size of the current file, or of the compressed file in a zip archive
+ * @property {boolean} done Whether the current file has been read completely
+ */
+
+/**
+ * @typedef LogSource A log to read, either a file, a gzipped file or a file in a zip archive, see getLogSources
+ * @type {Object}
+ * 
+ * @property {string} name Name the logs are recorded under, the file name or "<archive>.zip/<path in archive>"
+ * @property {string} path Path of the file, followed by the path in the archive for files in a zip archive
+ * @property {string} filePath The file on disk the log is read from
+ * @property {number} size Bytes which will be read from the file on disk
+ * @property {boolean} gzip Whether the log is gzipped
+ * @property {ZipEntry} [zipEntry] Where the log is in the archive, for files in a zip archive
+ */
+
+/**
+ * @typedef ZipEntry A file in a zip archive, as listed by the central directory of the archive
+ * @type {Object}
+ * 
+ * @property {string} name Path of the file in the archive, separated by forward slashes
+ * @property {number} flags General purpose flags of the file, bit 0 is set for encrypted files
+ * @property {number} method Compression method, 0 for stored and 8 for deflated
+ * @property {number} compressedSize 
+ * @property {number} size 
+ * @property {number} headerOffset Offset of the local header of the file in the archive
+ */
+
+/**
+ * @typedef FollowUpdate A log read by followLogFile
+ * @type {Object}
+ * 
+ * @property {LogObject} log The unique log the new entry was added as or merged into
+ * @property {LogObject} entry The entry which was read
+ * @property {boolean} isNew Whether this is the first time the log has been seen
+ */
+
+/**
+ * @typedef LogFollower A handle for a file being followed by followLogFile
+ * @type {Object}
+ * 
+ * @property {LogInfo} logData The consolidated logs read so far
+ * @property {function():void} poll Reads anything written since the last poll
+ * @property {function():void} close Stops following the file, finishing the log being read
+ */
+
+/**
+ * @typedef Logger An object with the logging methods used while parsing
+ * @type {Object}
+ * 
+ * @property {function(boolean=):void} empty 
+ * @property {function(string, boolean=, boolean=):void} header 
+ * @property {function(*, boolean=):void} log 
+ * @property {function(*, boolean=):void} debug 
+ * @property {function(*, boolean=):void} warn 
+ * @property {function(*, boolean=):void} error 
+ */
 
-/** The path to folder with the logs */
-let pathToFolder = settings.textLoading.folderPath;
 
-/** the write stream for printing to a file */
-let outputStream;
-if(settings.writeToFile) outputStream = fs.createWriteStream(__dirname + "\\UELogParser_Output.txt"); 
 
-/** Object which contains modified logging methods */
-const logger = {
-    empty: (printToConsole = true) => {
-        if(settings.writeToFile) outputStream.write("\n");
-        if(printToConsole) console.log();
+// ========================= Global Variables =========================
+
+/** Logger which discards everything, used when no logger is supplied */
+const silentLogger = {
+    empty: () => {},
+    header: () => {},
+    log: () => {},
+    debug: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+/** 
+ * Options used for any field not supplied by the caller
+ * @type {ParserOptions}
+ */
+const defaultOptions = {
+    debug: false,
+    textParsing: {
+        consolidate: true,
+        maxSiblings: null,
+        workers: 0,
+        lineParser: "auto",
+        parserModules: [],
+        multiLine: {
+            enabled: true,
+            maxLines: 100,
+            ensureStackDepth: 3,
+            ignoredFrames: ["FDebug::", "StackWalk", "ReportEnsure", "UnknownFunction"]
+        },
+        fingerprint: {
+            enabled: true,
+            builtInMasks: ["guid", "address", "path", "actorSuffix", "number"],
+            customMasks: [],
+            maxVariants: 5,
+            maxDistinctValues: 20
+        },
+        phases: {
+            enabled: true,
+            initial: "Startup",
+            markers: [
+                { phase: "Running", category: "Load", message: "/^\\(Engine Initialization\\) Total time/" },
+                { phase: "Running", category: "PlayLevel", message: "/Shutting down PIE/" },
+                { phase: "PIE Startup", category: "PlayLevel", message: "/Creating play world package/" },
+                { phase: "Map Load", category: "Load", message: "/^LoadMap: /" },
+                { phase: "Gameplay", category: "World", message: "/^Bringing World .* up for play/" },
+                { phase: "Shutdown", category: "Exit", message: "/^Preparing to exit/" }
+            ]
+        }
+    },
+    display: {
+        groupBy: null,
+        splitBy: null,
+        profile: null,
+        profiles: {},
+        histogram: {
+            mode: "none",
+            frameBucketSize: 100
+        },
+        filters: {
+            severity: {
+                minimum: null,
+                categories: {},
+                allowUndefined: true
+            },
+            range: {
+                start: null,
+                end: null,
+                minFrame: null,
+                maxFrame: null,
+                allowUndefined: true
+            },
+            type: {
+                whitelist: [],
+                blacklist: [],
+                allowUndefined: true,
+                ignore: true
+            },
+            category: {
+                whitelist: [],
+                blacklist: [],
+                allowUndefined: true,
+                ignore: true
+            },
+            phase: {
+                whitelist: [],
+                blacklist: [],
+                allowUndefined: true,
+                ignore: true
+            },
+            expression: null
+        }
     },
-    header: (text, newLine = false, printToConsole = true) => {
-        const string = ( newLine ? "\n" : "") + "----- ".green + text.green + " -----".green;
-        if(settings.writeToFile) outputStream.write(( newLine ? "\n" : "") + "----- " + text + " -----" + "\n");
-        if(printToConsole) console.log(string);
+    watch: {
+        interval: 500,
+        settleTime: 2000
     },
-    log: (text, printToConsole = true)=>{
-        const string = (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")).cyan;
-        if(settings.writeToFile) outputStream.write((typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")) + "\n");
-        if(printToConsole) console.log(string);
+    ownership: {
+        file: null,
+        rules: null
     },
-    debug: (text, printToConsole = true) =>{
-        if(settings.debug){
-            const string = (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t"));
-            if(printToConsole){
-                console.debug(string.magenta);
-            }
-            if(settings.writeToFile){
-                outputStream.write(string);
-            }
-        }
+    suppressions: {
+        file: null,
+        entries: null
     },
-    warn: (text, printToConsole = true)=>{
-        const string = "Warning:".bgYellow.black + " ".yellow + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")).yellow;
-        if(settings.writeToFile) outputStream.write("Warning:" + " " + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")) + "\n");
-        if(printToConsole) console.log(string);
+    export: {
+        json: null,
+        csv: null,
+        junit: null,
+        applyFilters: true
     },
-    error: (text)=>{
-        const string = "ERROR!".bgRed.black + " ".yellow + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")).red;
-        if(settings.writeToFile) outputStream.write("ERROR!" + " " + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")) + "\n");
-        if(printToConsole) console.log(string);
-    }
+    history: {
+        file: null,
+        label: null,
+        trendRuns: 10
+    },
+    timeline: {
+        enabled: false,
+        roles: {},
+        clockOffsets: {}
+    },
+    budgets: {
+        maxErrors: null,
+        maxWarningsPerCategory: {},
+        maxUniquePerType: {},
+        noNewFatal: false
+    },
+    logger: silentLogger
 };
 
-/** Map of fileName to text content */
-const textContent = {};
+/** Options objects which have already been merged with the defaults */
+const resolvedOptions = new WeakSet();
 
 /** 
- * @type {LogInfo} 
- */
-const logData = {
-    totalCount: 0,
-    uniqueList: [],
-    categories: {},
-    typeCounts: {
-        errors: 0,
-        warnings: 0,
-        verbose: 0, 
-        general: 0      
-    },
-    dataList: []
+ * Lookup tables of fingerprint to unique log for each log info, see getUniqueIndex
+ * @type {WeakMap.<LogInfo,Map.<string,LogObject>>}
+ */
+const uniqueIndexCache = new WeakMap();
+
+/** Matches a single log statement and its optional time and frame prefix */
+const logLineRegex = /^(?:\[(?<timestamp>[^\[\]]*)\]\[\s*(?<frame>[^\[\]]*)\])?.*?(?<logText>Log.*:.*)/m;
+
+/** Splits a log statement into its category, type and message */
+const logParseRegex = /(?:Log(?<logCategory>[^:]+)):{1}\s*(?:(?<type>Fatal|Error|Warning|Display|Log|Verbose|VeryVerbose):{1}(?!:)\s*)?(?<message>.*)/;
+
+/** Matches an MSVC diagnostic, like "D:\\Foo.cpp(123): warning C4996: 'strcpy': was declared deprecated" or "LINK : fatal error LNK1181: ..." */
+const msvcDiagnosticRegex = /^\s*(?<file>(?:[A-Za-z]:)?[^:(]+?)(?:\((?<line>\d+)(?:,\d+)?\))?\s*:\s*(?<type>fatal error|error|warning|note)\s*(?<code>[A-Z]+\d+)?\s*:\s*(?<message>.*)$/;
+
+/** Matches a clang diagnostic, like "/Build/Foo.cpp:123:45: warning: unused variable 'x' [-Wunused-variable]" */
+const clangDiagnosticRegex = /^\s*(?<file>(?:[A-Za-z]:)?[^:]+?):(?<line>\d+):(?:\d+:)?\s*(?<type>fatal error|error|warning|note):\s*(?<message>.*)$/;
+
+/** Verbosity of each kind of compiler diagnostic, notes are continuations rather than logs */
+const compilerSeverities = {
+    "fatal error": "Fatal",
+    "error": "Error",
+    "warning": "Warning"
+};
+
+/** Matches a line of the include chain clang prints before a diagnostic in a header, like "In file included from Foo.cpp:12:" */
+const clangIncludeRegex = /^\s*(?:In file included from|from)\s+(?:[A-Za-z]:)?[^:]+:\d+[:,]$/;
+
+/** Matches a warning or error printed by AutomationTool itself, optionally behind the UATHelper and time prefixes */
+const uatDiagnosticRegex = /^(?:UATHelper: [^:]+:\s*)?(?:\[[\d.:\-]+\]\s*)?(?<type>ERROR|WARNING|Error|Warning):\s*(?<message>.*)$/;
+
+/** Matches the line AutomationTool prints as it exits */
+const uatExitRegex = /AutomationTool exit(?:ing)? with ExitCode=(?<code>-?\d+)/;
+
+/** Matches lines which only appear in AutomationTool logs */
+const uatMarkerRegex = /^(?:UATHelper:|Parsing command line:|Running AutomationTool|AutomationTool |BUILD (?:SUCCESSFUL|FAILED)|\*{5,} (?:BUILD|COOK|STAGE|PACKAGE|ARCHIVE))/;
+
+/** Lines read from the start of a file to detect its format */
+const detectionLineCount = 200;
+
+/** Bytes read at a time when following a log, so a file which grows by a lot at once is not held in memory */
+const followChunkSize = 64 * 1024;
+
+/** Script each parsing worker runs, see parseSourcesInWorkers */
+const workerPath = path.join(__dirname, "UELogParserWorker.js");
+
+/** Matches the names of files which are read as logs, including gzipped logs */
+const logFileRegex = /\.(?:log|txt)(?:\.gz)?$/i;
+
+/** Matches the names of zip archives, which are searched for logs */
+const zipFileRegex = /\.zip$/i;
+
+/** Matches a log the engine moved aside when it started again, like "MyGame-backup-2021.03.10-12.34.56.log" */
+const backupLogRegex = /^(?<project>.+)-backup-(?<timestamp>\d{4}\.\d{2}\.\d{2}-\d{2}\.\d{2}\.\d{2})\.(?:log|txt)(?:\.gz)?$/i;
+
+/** Signatures of the zip records which are read, see readZipEntries */
+const zipSignatures = {
+    localHeader: 0x04034b50,
+    centralHeader: 0x02014b50,
+    endOfDirectory: 0x06054b50
 };
 
 /**
- * @type {Array.<string>}
+ * Metadata read from the lines the engine prints as it starts, the first field with a value for a key wins
+ * @type {Array.<{key: string, category: string, regex: RegExp}>}
  */
-const miscellaneous = [];
+const metadataFields = [
+    { key: "engineVersion", category: "Init", regex: /^Engine Version:\s*(?<value>.+)$/ },
+    { key: "changelist", category: "Init", regex: /^Engine Version:\s*[\d.]+-(?<value>\d+)/ },
+    { key: "changelist", category: "Init", regex: /^Build:.*-CL-(?<value>\d+)/ },
+    { key: "branch", category: "Init", regex: /^Branch Name:\s*(?<value>.+)$/ },
+    { key: "buildConfiguration", category: "Init", regex: /^Build Configuration:\s*(?<value>.+)$/ },
+    { key: "os", category: "Init", regex: /^OS:\s*(?<value>.+?)(?:,\s*CPU:.*)?$/ },
+    { key: "cpu", category: "Init", regex: /^OS:.*?,\s*CPU:\s*(?<value>.+?)(?:,\s*GPU:.*)?$/ },
+    { key: "gpu", category: "Init", regex: /^OS:.*,\s*GPU:\s*(?<value>.+)$/ },
+    { key: "computer", category: "Init", regex: /^Computer:\s*(?<value>.+)$/ },
+    { key: "memory", category: "Memory", regex: /^Memory total:\s*Physical=(?<value>[\d.]+\s*[KMGT]?B)/ },
+    { key: "commandLine", category: "Init", regex: /^Command Line:\s*(?<value>.+)$/ }
+];
 
-// ========================= Function Definitions =========================
+/** Platform of a log, from the first pattern which matches its OS */
+const platformPatterns = [
+    { platform: "Windows", regex: /windows/i },
+    { platform: "Mac", regex: /mac\s*os|darwin/i },
+    { platform: "Linux", regex: /linux|ubuntu|debian|fedora|centos|red hat|\barch\b/i }
+];
+
+/** Matches the command line of a dedicated or listen server */
+const serverCommandLineRegex = /(?:^|\s)-(?:server|dedicated)\b|\?listen\b/i;
+
+/** Roles of the processes on a timeline, see getProcessRole */
+const processRoles = ["server", "client", "unknown"];
+
+/** Matches a clock offset like "250", "-250ms" or "+1.5s" */
+const clockOffsetRegex = /^(?<value>[+-]?\d+(?:\.\d+)?)\s*(?<unit>ms|s)?$/i;
+
+/** Keys of the metadata a log can have, in the order they are displayed */
+const metadataKeys = ["engineVersion", "changelist", "branch", "buildConfiguration", "platform", "os", "cpu", "gpu", "computer", "memory", "commandLine"];
+
+/** UE verbosity levels, ordered from most to least severe */
+const verbosityLevels = ["Fatal", "Error", "Warning", "Display", "Log", "Verbose", "VeryVerbose"];
+
+/** Key in typeCounts for each verbosity level, logs which could not be parsed are counted under general */
+const typeCountKeys = {
+    Fatal: "fatal",
+    Error: "errors",
+    Warning: "warnings",
+    Display: "display",
+    Log: "log",
+    Verbose: "verbose",
+    VeryVerbose: "veryVerbose"
+};
+
+/** Owner of logs which match no ownership rule */
+const unownedOwner = "unowned";
+
+/** Matches a line of an ownership rules file, like "category:Net @networking" or "message:/Accessed None/i @blueprints" */
+const ownershipRuleRegex = /^(?<kind>category|message|path):(?<pattern>\/(?:\\.|[^\/])+\/[a-z]*|\S+)\s+(?<owner>\S.*)$/;
+
+/** Matches an expiry date without a time, like "2021-03-10", which lasts until the end of that day */
+const expiryDateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Matches an object path under a content root, like "/Game/Maps/Arena.Arena:PersistentLevel", capturing the package */
+const assetPathRegex = /(?<![\w\/])\/(?:Game|Engine)\/[\w\/-]+/g;
+
+/** Matches a package file, like "../Content/Maps/Arena.umap" */
+const packageFileRegex = /(?<![\w.\/\\:-])[\w.\/\\:-]*[\w-]\.(?:uasset|umap)\b/g;
+
+/** Matches the name of a blueprint class or instance, like "BP_Enemy_C_12" or "Default__BP_Enemy_C" */
+const blueprintNameRegex = /\b(?:Default__)?(?<name>[A-Za-z][A-Za-z0-9]*_\w+?)_C(?:_\d+)?\b/g;
+
+/** Matches a source file and optional line, like "Foo.cpp(123)", "Foo.cpp(123,5)" or "D:/Build/Foo.h:45" */
+const sourceLocationRegex = /(?<![\w.\/\\-])(?<file>(?:[A-Za-z]:)?[\w.\/\\-]*[\w-]\.(?:cpp|hpp|h|inl|c|cs))\b(?:\((?<line>\d+)(?:,\d+)?\)|:(?<colonLine>\d+))?/g;
+
+/** Matches the time and frame prefix at the start of a line */
+const logPrefixRegex = /^\[[^\[\]]*\]\[[^\[\]]*\]/;
+
+/** Matches a time without a time zone, in the UE format "2021.03.10-12.34.56:789" or like "2021-03-10T12:34:56.789" or "2021-03-10 12:34" */
+const timestampRegex = /^(?<year>\d{4})[-.\/](?<month>\d{2})[-.\/](?<day>\d{2})(?:[T\- ](?<hour>\d{2})[.:](?<minute>\d{2})(?:[.:](?<second>\d{2})(?:[.:](?<millisecond>\d{1,3}))?)?)?$/;
+
+/** Splits a callstack line like "[Callstack] 0x00007ffb4f8a1234 UE4Editor-Engine.dll!UFoo::Bar() [D:\Foo.cpp:123]" into its parts */
+const stackFrameRegex = /^(?:\[Callstack\]\s*)?(?<address>0x[0-9a-fA-F]+)?\s*(?:(?<module>[^\s!\[\]]+)!)?(?<function>[^\[\]]+?)\s*(?:\[(?<file>[^\]]*?)(?::(?<line>\d+))?\])?\s*$/;
+
+/** Matches the message which starts an ensure or crash block */
+const blockStartRegex = /^===\s*(?<kind>Handled ensure|Critical error)\s*:?\s*===$/;
+
+/** Matches the failed condition of an ensure */
+const ensureConditionRegex = /^Ensure condition failed:\s*(?<condition>.*?)\s*(?:\[File:\s*(?<file>[^\]]*)\]\s*)?(?:\[Line:\s*(?<line>\d+)\])?\s*$/;
+
+/** Matches the header of a blueprint script stack */
+const scriptStackRegex = /^Script Stack \((?<frames>\d+) frames\)\s*:?$/;
 
 /**
- * @function parseText
- * @description Takes a large block of text and breaks it down into individual log statements, before parsing them into data containers
- * 
- * @see {LogObject}
- * 
- * @param {String} input Text input from a log file
- * 
- * @returns {LogInfo}
+ * Built in mask rules, in the order they are applied
+ * @type {Array.<MaskRule>}
  */
-function parseText(input, fileName){
-    logger.header(`Parsing text` + (fileName ? (" " + fileName) : ""), true);
-
-    const logRegex = /Log.*:.*/gm;
-    const parseRegex = /(?:Log(?<logCategory>[^:]+)):{1}\s*(?:(?<type>[^:-\s]*):{1}(?!:)\s*)?(?<message>.*)/;
-    const matchArray = input.match(logRegex);
-    
-    for(let i = 0; i < matchArray.length; i++){
-        const logString = matchArray[i];
-        const parsedLog = logString.match(parseRegex)?.groups;
-        
-        if(parsedLog == null){
-            matchArray[i] = {
-                cateogry: undefined,
-                type: undefined,
-                message: undefined,
-                logText: logString,
-                count: 1,
-                siblings: []
-            }
-        }
-        else{
-            matchArray[i] = {
-                category: parsedLog?.logCategory?.trim(),
-                type: parsedLog?.type?.trim(),
-                message: parsedLog?.message?.trim(),
-                logText: logString,
-                count: 1,
-                siblings: []
-            };
-        }
+const builtInMaskRules = [
+    { name: "guid", regex: /\b[0-9A-Fa-f]{8}-?[0-9A-Fa-f]{4}-?[0-9A-Fa-f]{4}-?[0-9A-Fa-f]{4}-?[0-9A-Fa-f]{12}\b/g },
+    { name: "address", regex: /\b0x[0-9A-Fa-f]+\b/g },
+    { name: "path", regex: /\/(?:Game|Engine|Script|Temp|Memory)\/[\w\/.:-]*/g },
+    { name: "actorSuffix", regex: /(?<=[A-Za-z]_)\d+\b/g },
+    { name: "number", regex: /\b\d+(?:\.\d+)?\b/g }
+];
 
-        // Print warnings for edge cases
-        if(matchArray[i].category === undefined || matchArray[i].message === undefined){
-            let output = "Match has missing fields ";
-            if(matchArray[i].category === undefined && matchArray[i].message === undefined) output += "Category and Message"; 
-            else if(matchArray[i].category === undefined) output += "Category";
-            else if(matchArray[i].message === undefined) output += "Message";
+/** 
+ * Mask rules built for each options object, see getMaskRules
+ * @type {WeakMap.<ParserOptions,Array.<MaskRule>>}
+ */
+const maskRuleCache = new WeakMap();
 
-            logger.warn(output);
-            logger.log(matchArray[i]?.logText?.yellow);
-        }
+/**
+ * Line parsers available to every parse, in the order detection prefers them when scores tie
+ * @type {Array.<LineParser>}
+ */
+const lineParsers = [
+    {
+        name: "runtime",
+        description: "Editor, game and commandlet logs, like \"[2021.03.10-12.34.56:789][  0]LogTemp: Warning: message\"",
+        parseLine: parseRuntimeLine,
+        detect: (lines) => lines.filter(line => logLineRegex.test(line)).length
+    },
+    {
+        name: "msvc",
+        description: "UnrealBuildTool output from the MSVC toolchain",
+        parseLine: (line) => parseCompilerLine(line, msvcDiagnosticRegex),
+        detect: (lines) => lines.filter(line => msvcDiagnosticRegex.test(line) || /\bcl\.exe\b|Visual Studio|\bMSVC\b/.test(line)).length
+    },
+    {
+        name: "clang",
+        description: "UnrealBuildTool output from the clang toolchain",
+        parseLine: (line) => parseCompilerLine(line, clangDiagnosticRegex),
+        detect: (lines) => lines.filter(line => clangDiagnosticRegex.test(line) || /\bclang(?:\+\+)?\b/i.test(line)).length
+    },
+    {
+        name: "uat",
+        description: "AutomationTool and BuildCookRun logs, including the cook and compile output they contain",
+        parseLine: parseUatLine,
+        // The cook and compile lines in a UAT log would outscore it, so any UAT line claims the whole file
+        detect: (lines) => lines.some(line => uatMarkerRegex.test(line)) ? lines.length + 1 : 0
     }
-    
-    logger.log(`File of ${input.length} characters was parsed into ${matchArray.length} log statements`);
+];
 
-    const logInfo = processParsedLog(matchArray, fileName);
-    if(settings.textParsing.summarize) getParseSummary(logInfo);
+/** Fields a filter expression can test, see parseFilterExpression */
+const filterFields = ["message", "category", "type", "severity", "count", "phase", "owner", "profile"];
 
-    return logInfo;
+/** 
+ * Filter expressions compiled for each options object, see getFilterExpression
+ * @type {WeakMap.<ParserOptions,(function(LogObject):boolean|null)>}
+ */
+const filterExpressionCache = new WeakMap();
+
+/** 
+ * Phase markers built for each options object, see getPhaseMarkers
+ * @type {WeakMap.<ParserOptions,Array.<PhaseMarker>>}
+ */
+const phaseMarkerCache = new WeakMap();
+
+/** 
+ * Line parsers loaded from the parser modules of each options object, see getLineParsers
+ * @type {WeakMap.<ParserOptions,Array.<LineParser>>}
+ */
+const lineParserCache = new WeakMap();
+
+// ========================= Function Definitions =========================
+
+/**
+ * @function mergeOptions
+ * @description Recursively copies the fields of override over base, replacing arrays and values instead of merging them
+ * 
+ * @param {Object} base 
+ * @param {Object} [override] 
+ * 
+ * @returns {Object}
+ */
+function mergeOptions(base, override){
+    const isPlainObject = (value) => value !== null && typeof(value) === "object" && !Array.isArray(value);
+
+    const merged = { ...base };
+    for(const [key, value] of Object.entries(override ?? {})){
+        if(value === undefined) continue;
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeOptions(base[key], value) : value;
+    }
+    return merged;
 }
 
 /**
- * @function processParsedLog
+ * @function resolveOptions
+ * @description Fills in any options the caller did not supply with the defaults
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {ParserOptions}
+ */
+function resolveOptions(options){
+    if(options && resolvedOptions.has(options)) return options;
+
+    const resolved = mergeOptions(defaultOptions, options);
+    resolvedOptions.add(resolved);
+    return resolved;
+}
+
+/**
+ * @function createLogInfo
+ * @description Creates an empty log info to collect parsed logs into
+ * 
+ * @returns {LogInfo}
+ */
+function createLogInfo(){
+    return {
+        totalCount: 0,
+        uniqueList: [],
+        categories: {},
+        general: 0,
+        typeCounts: createTypeCounts(),
+        dataList: [],
+        fileMetadata: {},
+        failedSources: []
+    };
+}
+
+/**
+ * @function createTypeCounts
+ * @description Creates a zeroed count for every verbosity level
+ * 
+ * @returns {Object.<string,number>}
+ */
+function createTypeCounts(){
+    const typeCounts = {};
+    for(const level of verbosityLevels){
+        typeCounts[typeCountKeys[level]] = 0;
+    }
+    typeCounts.general = 0;
+    return typeCounts;
+}
+
+/**
+ * @function getVerbosity
+ * @description Matches a verbosity name regardless of case, e.g. "warning" becomes "Warning"
+ * 
+ * @param {string} [name] 
+ * 
+ * @returns {string|undefined} The verbosity level, or undefined if the name is not one
+ */
+function getVerbosity(name){
+    if(typeof(name) !== "string") return undefined;
+    const normalized = name.trim().toLowerCase().replace(/[\s_-]/g, "");
+    return verbosityLevels.find(level => level.toLowerCase() === normalized);
+}
+
+/**
+ * @function getSeverity
+ * @description Ranks a verbosity level, lower numbers are more severe
+ * 
+ * @param {string} [type] 
+ * 
+ * @returns {number|undefined} 1 for Fatal through 7 for VeryVerbose, undefined if the type is not a verbosity level
+ */
+function getSeverity(type){
+    const level = getVerbosity(type);
+    return level ? verbosityLevels.indexOf(level) + 1 : undefined;
+}
+
+/**
+ * @function getTypeCountKey
+ * @description Finds the key in typeCounts a log of the given type is counted under
+ * 
+ * @param {string} [type] 
+ * 
+ * @returns {string}
+ */
+function getTypeCountKey(type){
+    const level = getVerbosity(type);
+    return level ? typeCountKeys[level] : "general";
+}
+
+/**
+ * @function isBelowSeverity
+ * @description Checks a log against the minimum severity, or the override for its category
+ * 
+ * @param {LogObject} log 
+ * @param {ParserOptions} options 
+ * 
+ * @returns {boolean} True if the log is less severe than allowed
+ */
+function isBelowSeverity(log, options){
+    const filter = options.display.filters.severity;
+    if(!filter) return false;
+
+    const overrides = filter.categories ?? {};
+    const minimum = overrides[log.category] ?? overrides["Log" + log.category] ?? filter.minimum;
+    if(!minimum) return false;
+
+    const threshold = getSeverity(minimum);
+    if(threshold === undefined) return false;
+
+    const severity = getSeverity(log.type);
+    if(severity === undefined) return !filter.allowUndefined;
+    return severity > threshold;
+}
+
+/**
+ * @function parseText
+ * @description Takes a large block of text and breaks it down into individual log statements, before parsing them into data containers
+ * 
+ * @see {LogObject}
+ * 
+ * @param {String} input Text input from a log file
+ * @param {string} [fileName] Name of the file the text came from
+ * @param {ParserOptions} [options] 
+ * @param {LogInfo} [logData] Log info the results are consolidated into, or whose dataList receives the per file results
+ * 
+ * @returns {LogInfo}
+ */
+function parseText(input, fileName, options, logData = createLogInfo()){
+    options = resolveOptions(options);
+    const logger = options.logger;
+    logger.header(`Parsing text` + (fileName ? (" " + fileName) : ""), true);
+
+    const lines = input.split(/\r\n|[\r\n\u2028\u2029]/);
+    const lineParser = detectLineParser(lines.slice(0, detectionLineCount), options);
+    logger.debug(`Reading ${fileName ?? "text"} as a ${lineParser.name} log`);
+
+    const assembler = createEntryAssembler(options, lineParser);
+    const matchArray = [];
+    for(const line of lines){
+        const entry = assembler.push(line);
+        if(entry) matchArray.push(entry);
+    }
+    const lastEntry = assembler.flush();
+    if(lastEntry) matchArray.push(lastEntry);
+    
+    logger.log(`File of ${input.length} characters was parsed into ${matchArray.length} log statements`);
+
+    return processParsedLog(matchArray, fileName, options, logData);
+}
+
+/**
+ * @function parseLine
+ * @description Parses a single line of a log file
+ * 
+ * @param {string} line 
+ * @param {ParserOptions} [options] 
+ * @param {LineParser} [lineParser] Format of the line, defaults to a runtime log
+ * 
+ * @returns {LogObject|null} Null if the line is not a log statement
+ */
+function parseLine(line, options, lineParser = lineParsers[0]){
+    const parsed = lineParser.parseLine(line);
+    return parsed && !parsed.continuation ? createLogObject(parsed, resolveOptions(options)) : null;
+}
+
+/**
+ * @function parseRuntimeLine
+ * @description Reads a line of an editor, game or commandlet log
+ * 
+ * @param {string} line 
+ * 
+ * @returns {ParsedLine|null}
+ */
+function parseRuntimeLine(line){
+    const groups = line.match(logLineRegex)?.groups;
+    if(!groups) return null;
+
+    const parsedLog = groups.logText.match(logParseRegex)?.groups;
+    return {
+        logText: groups.logText,
+        category: parsedLog?.logCategory?.trim(),
+        type: parsedLog ? parsedLog.type?.trim() ?? "Log" : undefined,
+        message: parsedLog?.message?.trim(),
+        timestamp: parseTimestamp(groups.timestamp),
+        frame: parseFrame(groups.frame)
+    };
+}
+
+/**
+ * @function parseCompilerLine
+ * @description Reads a compiler diagnostic, notes are continuations of the diagnostic before them and include chains lead into the diagnostic after them
+ * 
+ * @param {string} line 
+ * @param {RegExp} regex msvcDiagnosticRegex or clangDiagnosticRegex
+ * 
+ * @returns {ParsedLine|null}
+ */
+function parseCompilerLine(line, regex){
+    if(regex === clangDiagnosticRegex && clangIncludeRegex.test(line)){
+        const logText = line.trim();
+        return { logText, message: logText, leading: true };
+    }
+
+    const groups = line.match(regex)?.groups;
+    if(!groups) return null;
+
+    const logText = line.trim();
+    if(groups.type === "note"){
+        return { logText, message: logText, continuation: true };
+    }
+    return {
+        logText,
+        category: "Compile",
+        type: compilerSeverities[groups.type],
+        message: logText
+    };
+}
+
+/**
+ * @function parseUatLine
+ * @description Reads a line of an AutomationTool log, falling back to the runtime and compiler formats for the cook and build output it contains
+ * 
+ * @param {string} line 
+ * 
+ * @returns {ParsedLine|null}
+ */
+function parseUatLine(line){
+    const groups = line.match(uatDiagnosticRegex)?.groups;
+    if(groups){
+        const message = groups.message.trim();
+        return {
+            logText: `${groups.type}: ${message}`,
+            category: "UAT",
+            type: groups.type.toLowerCase() === "warning" ? "Warning" : "Error",
+            message
+        };
+    }
+
+    const exit = line.match(uatExitRegex);
+    if(exit){
+        const message = line.trim();
+        return { logText: message, category: "UAT", type: exit.groups.code === "0" ? "Display" : "Error", message };
+    }
+
+    return parseRuntimeLine(line) ?? parseCompilerLine(line, msvcDiagnosticRegex) ?? parseCompilerLine(line, clangDiagnosticRegex);
+}
+
+/**
+ * @function createLogObject
+ * @description Turns a line read by a line parser into a log object
+ * 
+ * @param {ParsedLine} parsed 
+ * @param {ParserOptions} options 
+ * 
+ * @returns {LogObject}
+ */
+function createLogObject(parsed, options){
+    const logger = options.logger;
+    const logString = parsed.logText;
+    const timestamp = parsed.timestamp;
+    const frame = parsed.frame;
+
+    const log = {
+        category: parsed.category,
+        type: parsed.type,
+        message: parsed.message,
+        logText: logString,
+        count: 1,
+        siblings: []
+    };
+
+    // Group on the log text with volatile tokens masked out
+    const { fingerprint, maskedValues } = getFingerprint(logString, options);
+    log.fingerprint = fingerprint;
+    log.variants = [logString];
+    log.maskedValues = maskedValues;
+
+    // Pull out the assets and source files the log mentions
+    const { assets, sourceLocations } = getLogReferences(logString);
+    if(assets.length > 0) log.assets = assets;
+    if(sourceLocations.length > 0) log.sourceLocations = sourceLocations;
+
+    // Attach the time and frame the log was printed on
+    log.timestamp = timestamp;
+    log.frame = frame;
+    log.firstSeen = timestamp;
+    log.lastSeen = timestamp;
+    log.firstFrame = frame;
+    log.lastFrame = frame;
+
+    // Print warnings for edge cases
+    if(log.category === undefined || log.message === undefined){
+        let output = "Match has missing fields ";
+        if(log.category === undefined && log.message === undefined) output += "Category and Message"; 
+        else if(log.category === undefined) output += "Category";
+        else if(log.message === undefined) output += "Message";
+
+        logger.warn(output);
+        logger.log(log?.logText);
+    }
+
+    return log;
+}
+
+/**
+ * @function createEntryAssembler
+ * @description Groups lines into log entries, attaching callstacks, script stacks and wrapped lines to the log they belong to
+ * 
+ * @param {ParserOptions} options 
+ * @param {LineParser} [lineParser] Format of the lines, defaults to a runtime log
+ * 
+ * @returns {{push: function(string):(LogObject|null), flush: function():(LogObject|null)}} push returns the previous entry once a line starts a new one, flush returns the last entry
+ */
+function createEntryAssembler(options, lineParser = lineParsers[0]){
+    const config = options.textParsing.multiLine ?? {};
+    const trackPhase = createPhaseTracker(options);
+    let current = null;
+    let entryCount = 0;
+    /** Lines like an include chain, held until the entry they lead into starts */
+    let leadingLines = [];
+
+    /** Numbers an entry in the order it started and tags it with its phase */
+    const startEntry = (log) => {
+        log.sequence = entryCount++;
+        return trackPhase(log);
+    };
+
+    const finish = () => {
+        const finished = current;
+        current = null;
+        if(finished) finishEntry(finished, options);
+        return finished;
+    };
+
+    const push = (line) => {
+        const parsed = lineParser.parseLine(line);
+
+        // Without multi-line support only log statements are kept
+        if(!config.enabled){
+            return parsed && !parsed.continuation && !parsed.leading ? startEntry(createLogObject(parsed, options)) : null;
+        }
+
+        if(!parsed){
+            if(line.trim() === "") return null;
+            if(logPrefixRegex.test(line)) return finish();
+            if(current) attachContinuation(current, line.trim(), options);
+            return null;
+        }
+        if(parsed.continuation){
+            if(current) attachContinuation(current, parsed.message ?? parsed.logText, options);
+            return null;
+        }
+        if(parsed.leading){
+            leadingLines.push(parsed.message ?? parsed.logText);
+            return null;
+        }
+
+        const log = createLogObject(parsed, options);
+        if(current && isContinuationOf(current, log)){
+            attachContinuation(current, log.message ?? "", options);
+            return null;
+        }
+
+        const finished = finish();
+        current = startEntry(log);
+        for(const text of leadingLines){
+            attachContinuation(log, text, options);
+        }
+        leadingLines = [];
+        const blockStart = log.message?.match(blockStartRegex);
+        if(blockStart){
+            log.entryKind = blockStart.groups.kind === "Critical error" ? "critical" : "ensure";
+        }
+        else if(log.message?.match(ensureConditionRegex)){
+            log.entryKind = "ensure";
+            attachContinuation(log, log.message, options, false);
+        }
+        return finished;
+    };
+
+    const flush = () => {
+        leadingLines = [];
+        return finish();
+    };
+
+    return { push, flush };
+}
+
+/**
+ * @function isContinuationOf
+ * @description Checks whether a log statement is really another line of the entry before it, like the frames of an ensure callstack
+ * 
+ * @param {LogObject} entry 
+ * @param {LogObject} log 
+ * 
+ * @returns {boolean}
+ */
+function isContinuationOf(entry, log){
+    if(log.category !== entry.category || log.type !== entry.type) return false;
+    if(entry.frame !== undefined && log.frame !== undefined && entry.frame !== log.frame) return false;
+
+    // Everything printed by an ensure or crash on the same frame belongs to it
+    if(entry.entryKind) return true;
+
+    const message = log.message ?? "";
+    return message === ""
+        || message === "Stack:"
+        || scriptStackRegex.test(message)
+        || (entry.scriptFramesLeft ?? 0) > 0
+        || message.startsWith("[Callstack]");
+}
+
+/**
+ * @function attachContinuation
+ * @description Adds a line to an entry and parses it as a stack frame or ensure condition where it is one
+ * 
+ * @param {LogObject} entry 
+ * @param {string} text 
+ * @param {ParserOptions} options 
+ * @param {boolean} [keepLine] Whether the text is stored as a continuation line
+ */
+function attachContinuation(entry, text, options, keepLine = true){
+    const maxLines = options.textParsing.multiLine?.maxLines ?? 100;
+    if(keepLine){
+        if(!entry.continuation) entry.continuation = [];
+        if(entry.continuation.length < maxLines) entry.continuation.push(text);
+    }
+
+    const scriptStack = text.match(scriptStackRegex);
+    if(scriptStack){
+        entry.scriptFramesLeft = parseInt(scriptStack.groups.frames, 10);
+        return;
+    }
+    if(entry.scriptFramesLeft > 0){
+        entry.scriptFramesLeft--;
+        if(!entry.scriptStack) entry.scriptStack = [];
+        entry.scriptStack.push({ function: text, raw: text });
+        return;
+    }
+
+    const condition = text.match(ensureConditionRegex);
+    if(condition){
+        entry.ensure = {
+            condition: condition.groups.condition,
+            file: condition.groups.file?.trim(),
+            line: parseFrame(condition.groups.line)
+        };
+        // The ensure header carries no information, so show the condition instead
+        if(blockStartRegex.test(entry.message ?? "")) entry.message = text;
+        return;
+    }
+
+    const frame = parseStackFrame(text);
+    if(frame){
+        if(!entry.callstack) entry.callstack = [];
+        if(entry.callstack.length < maxLines) entry.callstack.push(frame);
+    }
+}
+
+/**
+ * @function parseStackFrame
+ * @description Splits a native callstack line into its module, function, file and line
+ * 
+ * @param {string} text 
+ * 
+ * @returns {StackFrame|null} Null if the line is not a callstack frame
+ */
+function parseStackFrame(text){
+    const groups = text.match(stackFrameRegex)?.groups;
+    if(!groups || (!groups.address && !groups.module)) return null;
+
+    return {
+        address: groups.address,
+        module: groups.module,
+        function: groups.function.trim(),
+        file: groups.file || undefined,
+        line: parseFrame(groups.line),
+        raw: text
+    };
+}
+
+/**
+ * @function finishEntry
+ * @description Fingerprints ensures by the top frames of their callstack once every line of the entry has been read
+ * 
+ * @param {LogObject} entry 
+ * @param {ParserOptions} options 
+ */
+function finishEntry(entry, options){
+    delete entry.scriptFramesLeft;
+    if(entry.ensure?.file){
+        mergeLogReferences(entry, { sourceLocations: [{ file: entry.ensure.file.replace(/\\/g, "/"), line: entry.ensure.line }] }, Infinity);
+    }
+    if(!entry.entryKind || !entry.callstack) return;
+
+    const config = options.textParsing.multiLine ?? {};
+    const ignoredFrames = config.ignoredFrames ?? [];
+    const topFrames = entry.callstack
+        .filter(frame => !ignoredFrames.some(ignored => frame.function.includes(ignored) || frame.module?.includes(ignored)))
+        .slice(0, config.ensureStackDepth ?? 3)
+        .map(frame => frame.function);
+
+    if(topFrames.length > 0){
+        entry.fingerprint = `Log${entry.category}: ${entry.type}: ${entry.entryKind} at ${topFrames.join(" < ")}`;
+    }
+}
+
+/**
+ * @function processParsedLog
  * @description Turns an array of log objects into a log info object
  * 
- * @param {Array.<LogObject>} matchArray 
- * @param {string} [fileName] 
+ * @param {Array.<LogObject>} matchArray 
+ * @param {string} [fileName] 
+ * @param {ParserOptions} [options] 
+ * @param {LogInfo} [logData] Log info the results are consolidated into, or whose dataList receives the per file results
+ * 
+ * @returns {LogInfo}
+ */
+function processParsedLog(matchArray, fileName, options, logData = createLogInfo()){
+    options = resolveOptions(options);
+
+    const logInfo = getTargetLogInfo(options, logData);
+    const metadata = {};
+    
+    // Process each match individually
+    for(let i = 0; i < matchArray.length; i++){
+        updateMetadata(metadata, matchArray[i]);
+        if(!isMetadataLog(matchArray[i])) addParsedLog(logInfo, matchArray[i], options, fileName);
+    }
+
+    return finishParsedLog(logInfo, fileName, options, logData, metadata);
+}
+
+/**
+ * @function getTargetLogInfo
+ * @description Picks the log info a file's logs are added to, the consolidated one or a new one for the file
+ * 
+ * @param {ParserOptions} options 
+ * @param {LogInfo} logData 
+ * 
+ * @returns {LogInfo}
+ */
+function getTargetLogInfo(options, logData){
+    // Initialize the "pointer" of loginfo
+    if(options.textParsing.consolidate){
+        return logData;
+    }
+    return {
+        totalCount: 0,
+        uniqueList: [],
+        categories: {
+            general: 0
+        },
+        general: 0,
+        typeCounts: createTypeCounts()
+    };
+}
+
+/**
+ * @function getUniqueIndex
+ * @description Gets the lookup table of fingerprint to unique log for a log info, rebuilding it if the unique list was changed elsewhere
+ * 
+ * @param {LogInfo} logInfo 
+ * 
+ * @returns {Map.<string,LogObject>}
+ */
+function getUniqueIndex(logInfo){
+    let index = uniqueIndexCache.get(logInfo);
+    if(!index || index.size !== logInfo.uniqueList.length){
+        index = new Map();
+        for(const log of logInfo.uniqueList){
+            if(!index.has(log.fingerprint)) index.set(log.fingerprint, log);
+        }
+        uniqueIndexCache.set(logInfo, index);
+    }
+    return index;
+}
+
+/**
+ * @function addParsedLog
+ * @description Adds one parsed log to a log info, merging it into the unique log with the same fingerprint if there is one
+ * 
+ * @param {LogInfo} logInfo 
+ * @param {LogObject} info 
+ * @param {ParserOptions} options 
+ * @param {string} [fileName] File the log came from, counted in the files of the unique log
+ * 
+ * @returns {LogObject} The unique log the log was added as or merged into
+ */
+function addParsedLog(logInfo, info, options, fileName){
+    const logger = options.logger;
+    const maxSiblings = options.textParsing.maxSiblings;
+    const uniqueIndex = getUniqueIndex(logInfo);
+    logInfo.totalCount++;
+
+    const original = uniqueIndex.get(info.fingerprint);
+    if(original === undefined){
+        if(fileName){
+            info.file = fileName;
+            info.files = { [fileName]: 1 };
+        }
+        logInfo.uniqueList.push(info);
+        uniqueIndex.set(info.fingerprint, info);
+    }
+    else{
+        original.count++;
+        // Past the limit only the count and seen range are kept, so huge logs stay in memory
+        if(typeof(maxSiblings) !== "number" || original.siblings.length < maxSiblings){
+            original?.siblings?.push({
+                logText: info.logText,
+                timestamp: info.timestamp,
+                frame: info.frame,
+                phase: info.phase,
+                file: fileName,
+                sequence: info.sequence
+            });
+        }
+        updateSeenRange(original, info.timestamp, info.frame);
+        if(info.phase){
+            if(!original.phases) original.phases = {};
+            original.phases[info.phase] = (original.phases[info.phase] ?? 0) + 1;
+        }
+        if(fileName){
+            if(!original.files) original.files = {};
+            original.files[fileName] = (original.files[fileName] ?? 0) + 1;
+        }
+        mergeFingerprintDetails(original, info, options);
+    }
+
+    if(Object.prototype.hasOwnProperty.call(logInfo.categories, info.category)){
+        logInfo.categories[info.category]++;
+    }
+    else if(info.category){
+        logInfo.categories[info.category] = 1;
+    }
+    else{
+        logInfo.general++;
+    }
+
+    // Run validation checks
+    if(info.type && info.type.match(/^[\w\s]*$/) === null){
+        logger.error(`Invalid type of ${info.type} on log \n ${info.logText} \n`);
+        logger.log(info);
+    }
+
+    return original ?? info;
+}
+
+/**
+ * @function finishParsedLog
+ * @description Counts the types of a file's unique logs once all of them have been added, and records the metadata of the file
+ * 
+ * @param {LogInfo} logInfo 
+ * @param {string} [fileName] 
+ * @param {ParserOptions} options 
+ * @param {LogInfo} logData 
+ * @param {LogMetadata} [metadata] What was read from the file by updateMetadata
+ * 
+ * @returns {LogInfo}
+ */
+function finishParsedLog(logInfo, fileName, options, logData, metadata = {}){
+    const logger = options.logger;
+
+    // Recount from scratch, a consolidated log info already holds the unique logs of earlier files
+    updateTypeCounts(logInfo);
+
+    // Run data validation
+    if(logInfo.uniqueList.length != Object.values(logInfo.typeCounts).reduce((aggr, next) => aggr+next, 0)) logger.warn("type counts do not total ");
+
+    finishMetadata(metadata);
+    if(fileName){
+        if(!logData.fileMetadata) logData.fileMetadata = {};
+        logData.fileMetadata[fileName] = metadata;
+    }
+
+    if(!options.textParsing.consolidate){
+        logData.dataList.push(logInfo);
+        if(fileName) logInfo.sourceFile = fileName;
+        logInfo.metadata = metadata;
+    }
+    return logInfo;
+}
+
+/**
+ * @function updateTypeCounts
+ * @description Recounts the unique logs of each verbosity in a log info
+ * 
+ * @param {LogInfo} logInfo 
+ * 
+ * @returns {Object.<string,number>}
+ */
+function updateTypeCounts(logInfo){
+    logInfo.typeCounts = createTypeCounts();
+    for(const info of logInfo.uniqueList){
+        logInfo.typeCounts[getTypeCountKey(info.type)]++;
+    }
+    return logInfo.typeCounts;
+}
+
+/**
+ * @function parseStream
+ * @description Parses a log line by line as it is read, so files larger than memory can be parsed
+ * 
+ * @param {import("stream").Readable} stream 
+ * @param {string} [fileName] 
+ * @param {ParserOptions} [options] 
+ * @param {LogInfo} [logData] Log info the results are consolidated into, or whose dataList receives the per file results
+ * 
+ * @returns {Promise.<LogInfo>}
+ */
+async function parseStream(stream, fileName, options, logData = createLogInfo()){
+    options = resolveOptions(options);
+    const logger = options.logger;
+    logger.header(`Parsing text` + (fileName ? (" " + fileName) : ""), true);
+
+    const logInfo = getTargetLogInfo(options, logData);
+    const metadata = {};
+    let characterCount = 0;
+    let statementCount = 0;
+
+    const add = (info) => {
+        updateMetadata(metadata, info);
+        if(!isMetadataLog(info)) addParsedLog(logInfo, info, options, fileName);
+        statementCount++;
+    };
+    const push = (line) => {
+        const info = assembler.push(line);
+        if(info) add(info);
+    };
+
+    // Hold back the first lines until there are enough to detect the format
+    let assembler = null;
+    const sample = [];
+    const startAssembler = () => {
+        const lineParser = detectLineParser(sample, options);
+        logger.debug(`Reading ${fileName ?? "stream"} as a ${lineParser.name} log`);
+        assembler = createEntryAssembler(options, lineParser);
+        sample.forEach(push);
+    };
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    try{
+        for await (const line of lines){
+            characterCount += line.length + 1;
+
+            if(assembler){
+                push(line);
+                continue;
+            }
+            sample.push(line);
+            if(sample.length >= detectionLineCount) startAssembler();
+        }
+    }
+    catch(err){
+        // Logs cut short, like an archive from a build which was cancelled, are kept up to where they break
+        if(!logData.failedSources) logData.failedSources = [];
+        addFailedSource(logData.failedSources, fileName ?? "stream", `Stopped reading ${fileName ?? "stream"} after ${characterCount} characters: ${err.message}`, logger);
+    }
+    if(!assembler) startAssembler();
+    const lastInfo = assembler.flush();
+    if(lastInfo) add(lastInfo);
+
+    logger.log(`File of ${characterCount} characters was parsed into ${statementCount} log statements`);
+
+    return finishParsedLog(logInfo, fileName, options, logData, metadata);
+}
+
+/**
+ * @function getPhaseMarkers
+ * @description Builds the phase markers from the options, reusing them for later calls with the same options
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array.<PhaseMarker>}
+ */
+function getPhaseMarkers(options){
+    options = resolveOptions(options);
+    const cached = phaseMarkerCache.get(options);
+    if(cached) return cached;
+
+    const markers = (options.textParsing.phases?.markers ?? []).map((marker, index) => {
+        if(typeof(marker.phase) !== "string" || marker.phase === ""){
+            throw new Error(`Phase marker ${index + 1} needs a phase`);
+        }
+        if(!marker.category && !marker.message){
+            throw new Error(`Phase marker ${index + 1} for ${marker.phase} needs a category or message`);
+        }
+
+        let messageRegex;
+        try{
+            messageRegex = marker.message ? getMessageRegex(marker.message) : null;
+        }
+        catch(err){
+            throw new Error(`Phase marker ${index + 1} for ${marker.phase} has an invalid message pattern: ${err.message}`);
+        }
+        const categoryRegex = marker.category ? getCategoryRegex(marker.category) : null;
+
+        return {
+            ...marker,
+            matches: (log) => (!categoryRegex || (log.category !== undefined && categoryRegex.test(log.category)))
+                && (!messageRegex || messageRegex.test(log.message ?? log.logText))
+        };
+    });
+    phaseMarkerCache.set(options, markers);
+    return markers;
+}
+
+/**
+ * @function createPhaseTracker
+ * @description Follows the phases of a single file, tagging each log with the phase it was printed in
+ * 
+ * @param {ParserOptions} options 
+ * 
+ * @returns {function(LogObject):LogObject} Tags a log, which moves to the next phase first if the log is a phase marker
+ */
+function createPhaseTracker(options){
+    const config = options.textParsing.phases ?? {};
+    if(!config.enabled) return (log) => log;
+
+    const markers = getPhaseMarkers(options);
+    let phase = config.initial ?? "Startup";
+    return (log) => {
+        const marker = markers.find(marker => marker.matches(log));
+        if(marker) phase = marker.phase;
+        log.phase = phase;
+        log.phases = { [phase]: 1 };
+        return log;
+    };
+}
+
+/**
+ * @function updateMetadata
+ * @description Reads any metadata a log gives about the run, keeping values which were already read
+ * 
+ * @param {LogMetadata} metadata 
+ * @param {LogObject} log 
+ * 
+ * @returns {LogMetadata}
+ */
+function updateMetadata(metadata, log){
+    if(log.message === undefined) return metadata;
+
+    for(const field of metadataFields){
+        if(metadata[field.key] !== undefined || log.category !== field.category) continue;
+        const value = log.message.match(field.regex)?.groups.value.trim();
+        if(value) metadata[field.key] = value;
+    }
+    return metadata;
+}
+
+/**
+ * @function isMetadataLog
+ * @description Checks whether a log only states something about the run, like "LogInit: Command Line: -game", so it is kept as metadata rather than counted
+ * 
+ * @param {LogObject} log 
+ * 
+ * @returns {boolean}
+ */
+function isMetadataLog(log){
+    return log.message !== undefined && metadataFields.some(field => log.category === field.category && field.regex.test(log.message));
+}
+
+/**
+ * @function finishMetadata
+ * @description Fills in the metadata which is worked out from other fields once a file has been read
+ * 
+ * @param {LogMetadata} metadata 
+ * 
+ * @returns {LogMetadata}
+ */
+function finishMetadata(metadata){
+    if(metadata.platform === undefined && metadata.os !== undefined){
+        const match = platformPatterns.find(pattern => pattern.regex.test(metadata.os));
+        if(match) metadata.platform = match.platform;
+    }
+    return metadata;
+}
+
+/**
+ * @function registerLineParser
+ * @description Adds a line parser for another log format, replacing any parser with the same name
+ * 
+ * @param {LineParser} lineParser 
+ * 
+ * @returns {LineParser}
+ */
+function registerLineParser(lineParser){
+    validateLineParser(lineParser);
+    const index = lineParsers.findIndex(existing => existing.name === lineParser.name);
+    if(index === -1) lineParsers.push(lineParser);
+    else lineParsers[index] = lineParser;
+    return lineParser;
+}
+
+/**
+ * @function validateLineParser
+ * @description Throws if an object is missing the fields of a line parser
+ * 
+ * @param {LineParser} lineParser 
+ * @param {string} [source] Where the parser came from, used in error messages
+ */
+function validateLineParser(lineParser, source = "Line parser"){
+    if(!lineParser || typeof(lineParser.name) !== "string" || lineParser.name === ""){
+        throw new Error(`${source} needs a name`);
+    }
+    if(typeof(lineParser.parseLine) !== "function"){
+        throw new Error(`${source} ${lineParser.name} needs a parseLine function`);
+    }
+    if(lineParser.detect !== undefined && typeof(lineParser.detect) !== "function"){
+        throw new Error(`${source} ${lineParser.name} has a detect which is not a function`);
+    }
+}
+
+/**
+ * @function getLineParsers
+ * @description Lists the registered line parsers followed by those exported from the parser modules in the options
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array.<LineParser>}
+ */
+function getLineParsers(options){
+    options = resolveOptions(options);
+    let moduleParsers = lineParserCache.get(options);
+    if(!moduleParsers){
+        moduleParsers = [];
+        for(const modulePath of options.textParsing.parserModules ?? []){
+            const exported = require(path.resolve(modulePath));
+            for(const lineParser of Array.isArray(exported) ? exported : [exported]){
+                validateLineParser(lineParser, `Line parser from ${modulePath}`);
+                moduleParsers.push(lineParser);
+            }
+        }
+        lineParserCache.set(options, moduleParsers);
+    }
+
+    // Parsers from modules take the place of registered parsers with the same name
+    return lineParsers
+        .filter(lineParser => !moduleParsers.some(moduleParser => moduleParser.name === lineParser.name))
+        .concat(moduleParsers);
+}
+
+/**
+ * @function detectLineParser
+ * @description Picks the line parser for a file, either the one named in the options or the one which scores its first lines highest
+ * 
+ * @param {Array.<string>} lines The first lines of the file
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {LineParser} The runtime parser if no parser recognizes the lines
+ */
+function detectLineParser(lines, options){
+    options = resolveOptions(options);
+    const available = getLineParsers(options);
+    const name = options.textParsing.lineParser ?? "auto";
+    if(name !== "auto"){
+        const named = available.find(lineParser => lineParser.name === name);
+        if(!named){
+            throw new Error(`Unknown line parser ${name}, expected auto or one of ${available.map(lineParser => lineParser.name).join(", ")}`);
+        }
+        return named;
+    }
+
+    let best = available.find(lineParser => lineParser.name === "runtime") ?? available[0];
+    let bestScore = 0;
+    for(const lineParser of available){
+        const score = lineParser.detect?.(lines) ?? 0;
+        if(score > bestScore){
+            best = lineParser;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * @function getMaskRules
+ * @description Collects the enabled built in mask rules and the custom rules from the options, building them only once per options object
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array.<MaskRule>}
+ */
+function getMaskRules(options){
+    options = resolveOptions(options);
+    const config = options.textParsing.fingerprint;
+    if(!config || !config.enabled) return [];
+
+    if(maskRuleCache.has(options)) return maskRuleCache.get(options);
+
+    const rules = builtInMaskRules.filter(rule => !config.builtInMasks || config.builtInMasks.includes(rule.name));
+    for(const custom of config.customMasks ?? []){
+        try{
+            const flags = (custom.flags ?? "").includes("g") ? custom.flags : (custom.flags ?? "") + "g";
+            rules.push({ name: custom.name, regex: new RegExp(custom.pattern, flags) });
+        }
+        catch(err){
+            options.logger.error(`Custom mask ${custom.name} has an invalid pattern: ${err.message}`);
+        }
+    }
+    maskRuleCache.set(options, rules);
+    return rules;
+}
+
+/**
+ * @function getFingerprint
+ * @description Replaces volatile tokens like paths, addresses, GUIDs and numbers in a log so similar logs group together
+ * 
+ * @param {string} logText 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {{fingerprint: string, maskedValues: Object.<string,Array.<string>>}}
+ */
+function getFingerprint(logText, options){
+    let fingerprint = logText;
+    const maskedValues = {};
+
+    for(const rule of getMaskRules(options)){
+        fingerprint = fingerprint.replace(rule.regex, (value) => {
+            if(!maskedValues[rule.name]) maskedValues[rule.name] = [];
+            if(!maskedValues[rule.name].includes(value)) maskedValues[rule.name].push(value);
+            return `<${rule.name}>`;
+        });
+    }
+
+    return { fingerprint, maskedValues };
+}
+
+/**
+ * @function mergeFingerprintDetails
+ * @description Records the variant text and masked values of a duplicate log on the log it was grouped into
+ * 
+ * @param {LogObject} original 
+ * @param {LogObject} duplicate 
+ * @param {ParserOptions} [options] 
+ */
+function mergeFingerprintDetails(original, duplicate, options){
+    const config = resolveOptions(options).textParsing.fingerprint ?? {};
+    const maxVariants = config.maxVariants ?? 5;
+    const maxValues = config.maxDistinctValues ?? 20;
+
+    if(original.variants.length < maxVariants && !original.variants.includes(duplicate.logText)){
+        original.variants.push(duplicate.logText);
+    }
+
+    for(const [name, values] of Object.entries(duplicate.maskedValues)){
+        if(!original.maskedValues[name]) original.maskedValues[name] = [];
+        for(const value of values){
+            if(original.maskedValues[name].length >= maxValues) break;
+            if(!original.maskedValues[name].includes(value)) original.maskedValues[name].push(value);
+        }
+    }
+
+    mergeLogReferences(original, duplicate, maxValues);
+}
+
+/**
+ * @function getLogReferences
+ * @description Finds the packages, blueprints and source files mentioned in a log
+ * 
+ * @param {string} text 
+ * 
+ * @returns {{assets: Array.<string>, sourceLocations: Array.<SourceLocation>}}
+ */
+function getLogReferences(text){
+    const assets = [];
+    const sourceLocations = [];
+    const addAsset = (asset) => {
+        if(!assets.includes(asset)) assets.push(asset);
+    };
+
+    for(const match of text.matchAll(assetPathRegex)){
+        addAsset(match[0].replace(/\/+$/, ""));
+    }
+    for(const match of text.matchAll(packageFileRegex)){
+        // Files in a Content folder are the same package as their /Game path
+        const file = match[0].replace(/\\/g, "/");
+        const contentIndex = file.lastIndexOf("/Content/");
+        addAsset(contentIndex === -1 ? file : "/Game/" + file.slice(contentIndex + "/Content/".length).replace(/\.(?:uasset|umap)$/, ""));
+    }
+    for(const match of text.matchAll(blueprintNameRegex)){
+        addAsset(match.groups.name);
+    }
+
+    for(const match of text.matchAll(sourceLocationRegex)){
+        const location = { file: match.groups.file.replace(/\\/g, "/"), line: parseFrame(match.groups.line ?? match.groups.colonLine) };
+        if(!sourceLocations.some(existing => existing.file === location.file && existing.line === location.line)){
+            sourceLocations.push(location);
+        }
+    }
+    return { assets, sourceLocations };
+}
+
+/**
+ * @function mergeLogReferences
+ * @description Adds the assets and source files of a duplicate to the original log, skipping any it already has
+ * 
+ * @param {LogObject} original 
+ * @param {{assets: (Array.<string>|undefined), sourceLocations: (Array.<SourceLocation>|undefined)}} duplicate 
+ * @param {number} maxValues Most assets or source files to keep on the original
+ */
+function mergeLogReferences(original, duplicate, maxValues){
+    for(const asset of duplicate.assets ?? []){
+        if(!original.assets) original.assets = [];
+        if(original.assets.length >= maxValues) break;
+        if(!original.assets.includes(asset)) original.assets.push(asset);
+    }
+    for(const location of duplicate.sourceLocations ?? []){
+        if(!original.sourceLocations) original.sourceLocations = [];
+        const sameFile = original.sourceLocations.find(existing => existing.file === location.file && (existing.line === location.line || existing.line === undefined));
+        if(sameFile){
+            sameFile.line ??= location.line;
+        }
+        else if(original.sourceLocations.length < maxValues){
+            original.sourceLocations.push(location);
+        }
+    }
+}
+
+/**
+ * @function parseTimestamp
+ * @description Converts the time from a UE log prefix, or a user supplied time, into a Date
+ * 
+ * UE logs are written in UTC, so times without a time zone, like the start and end of display.filters.range, are read 
+ * as UTC too whatever the time zone of the machine.
+ * 
+ * @param {string} [text] Time in the UE format "2021.03.10-12.34.56:789", an ISO date and time, or any format Date can parse
+ * 
+ * @returns {Date|undefined}
+ */
+function parseTimestamp(text){
+    if(text === undefined || text === null || text === "") return undefined;
+
+    const match = String(text).trim().match(timestampRegex);
+    if(match){
+        const { year, month, day, hour, minute, second, millisecond } = match.groups;
+        const toNumber = (value) => parseInt(value ?? "0", 10);
+        return new Date(Date.UTC(toNumber(year), toNumber(month) - 1, toNumber(day), toNumber(hour), toNumber(minute), toNumber(second), toNumber(millisecond?.padEnd(3, "0"))));
+    }
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * @function parseFrame
+ * @description Converts the frame counter from a UE log prefix into a number
+ * 
+ * @param {string} [text] 
+ * 
+ * @returns {number|undefined}
+ */
+function parseFrame(text){
+    const frame = parseInt(text, 10);
+    return isNaN(frame) ? undefined : frame;
+}
+
+/**
+ * @function formatTimestamp
+ * @description Prints a Date in the same format UE uses for its log prefix
+ * 
+ * @param {Date} [date] 
+ * 
+ * @returns {string}
+ */
+function formatTimestamp(date){
+    if(!date) return "unknown";
+
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}-${pad(date.getUTCHours())}.${pad(date.getUTCMinutes())}.${pad(date.getUTCSeconds())}:${pad(date.getUTCMilliseconds(), 3)}`;
+}
+
+/**
+ * @function updateSeenRange
+ * @description Widens the first/last seen times and frames of a log to include a new occurrence
+ * 
+ * @param {LogObject} log 
+ * @param {Date} [timestamp] 
+ * @param {number} [frame] 
+ */
+function updateSeenRange(log, timestamp, frame){
+    if(timestamp){
+        if(!log.firstSeen || timestamp < log.firstSeen) log.firstSeen = timestamp;
+        if(!log.lastSeen || timestamp > log.lastSeen) log.lastSeen = timestamp;
+    }
+    if(frame !== undefined){
+        if(log.firstFrame === undefined || frame < log.firstFrame) log.firstFrame = frame;
+        if(log.lastFrame === undefined || frame > log.lastFrame) log.lastFrame = frame;
+    }
+}
+
+/**
+ * @function getOccurrences
+ * @description Lists every appearance of a log, starting with the log itself followed by its siblings
+ * 
+ * @param {LogObject} log 
+ * 
+ * @returns {Array.<LogOccurrence>}
+ */
+function getOccurrences(log){
+    return [{ logText: log.logText, timestamp: log.timestamp, frame: log.frame, phase: log.phase, file: log.file, sequence: log.sequence }].concat(log.siblings ?? []);
+}
+
+/**
+ * @function isOccurrenceInRange
+ * @description Checks an occurrence against the time window and frame range in the display filters
+ * 
+ * @param {LogOccurrence} occurrence 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {boolean}
+ */
+function isOccurrenceInRange(occurrence, options){
+    const range = resolveOptions(options).display.filters.range;
+    if(!range) return true;
+
+    const start = parseTimestamp(range.start);
+    const end = parseTimestamp(range.end);
+    if(start || end){
+        if(!occurrence.timestamp) return range.allowUndefined;
+        if(start && occurrence.timestamp < start) return false;
+        if(end && occurrence.timestamp > end) return false;
+    }
+
+    const hasMinFrame = typeof(range.minFrame) === "number";
+    const hasMaxFrame = typeof(range.maxFrame) === "number";
+    if(hasMinFrame || hasMaxFrame){
+        if(occurrence.frame === undefined) return range.allowUndefined;
+        if(hasMinFrame && occurrence.frame < range.minFrame) return false;
+        if(hasMaxFrame && occurrence.frame > range.maxFrame) return false;
+    }
+
+    return true;
+}
+
+/**
+ * @function filterLogByRange
+ * @description Restricts a log to the occurrences inside the configured time window and frame range
+ * 
+ * @param {LogObject} log 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {LogObject|null} The log itself if every occurrence is in range, a narrowed copy if only some are, or null if none are
+ */
+function filterLogByRange(log, options){
+    options = resolveOptions(options);
+    const occurrences = getOccurrences(log);
+    const inRange = occurrences.filter(occurrence => isOccurrenceInRange(occurrence, options));
+    
+    if(inRange.length === occurrences.length) return log;
+    if(inRange.length === 0) return null;
+
+    const narrowed = {
+        ...log,
+        ...inRange[0],
+        count: inRange.length,
+        siblings: inRange.slice(1),
+        firstSeen: undefined,
+        lastSeen: undefined,
+        firstFrame: undefined,
+        lastFrame: undefined
+    };
+    if(log.phases) narrowed.phases = {};
+    if(log.files) narrowed.files = {};
+    for(const occurrence of inRange){
+        updateSeenRange(narrowed, occurrence.timestamp, occurrence.frame);
+        if(narrowed.phases && occurrence.phase) narrowed.phases[occurrence.phase] = (narrowed.phases[occurrence.phase] ?? 0) + 1;
+        if(narrowed.files && occurrence.file) narrowed.files[occurrence.file] = (narrowed.files[occurrence.file] ?? 0) + 1;
+    }
+    return narrowed;
+}
+
+/**
+ * @function getOccurrenceHistogram
+ * @description Buckets the occurrences of one or more logs by the minute or frame range they appeared in
+ * 
+ * @param {Array.<LogObject>} logList 
+ * @param {string} [mode] Either "minute" or "frame"
+ * @param {number} [frameBucketSize] How many frames are grouped into one bucket in "frame" mode
+ * 
+ * @returns {Object.<string,number>} Map of bucket label to occurrence count, in chronological order
+ */
+function getOccurrenceHistogram(logList, mode = "minute", frameBucketSize = 100){
+    const buckets = {};
+
+    for(const log of logList){
+        for(const occurrence of getOccurrences(log)){
+            let key;
+            if(mode === "frame"){
+                if(occurrence.frame === undefined) continue;
+                const bucketStart = Math.floor(occurrence.frame / frameBucketSize) * frameBucketSize;
+                key = bucketStart;
+            }
+            else{
+                if(!occurrence.timestamp) continue;
+                key = Math.floor(occurrence.timestamp.getTime() / 60000) * 60000;
+            }
+            buckets[key] = (buckets[key] ?? 0) + 1;
+        }
+    }
+
+    const histogram = {};
+    for(const key of Object.keys(buckets).map(Number).sort((a, b) => a - b)){
+        const label = mode === "frame"
+            ? `${key}-${key + frameBucketSize - 1}`
+            : formatTimestamp(new Date(key)).slice(0, 16);
+        histogram[label] = buckets[key];
+    }
+    return histogram;
+}
+
+/**
+ * @function getHistogramDisplayString
+ * @description Draws a histogram as one bar per line
+ * 
+ * @param {Object.<string,number>} histogram 
+ * @param {number} [width] Length of the longest bar
+ * 
+ * @returns {string}
+ */
+function getHistogramDisplayString(histogram, width = 40){
+    const entries = Object.entries(histogram);
+    if(entries.length === 0) return "No timing information";
+
+    const max = Math.max(...entries.map(entry => entry[1]));
+    const labelLength = Math.max(...entries.map(entry => entry[0].length));
+    return entries.map(([label, count]) => `${label.padEnd(labelLength)} | ${"#".repeat(Math.max(1, Math.round(count / max * width)))} ${count}`).join("\n");
+}
+
+/**
+ * 
+ * @param {Array<LogObject>} uniqueList
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array<LogObject>}
+ */
+function sortLogsByCount(uniqueList, options){
+    options = resolveOptions(options);
+    const logger = options.logger;
+
+    /** Takes element at right index as pivot and places the pivot in its sorted position */
+    const partition = (list, start, end, comparer = (a,b) => a <= b) => {
+        const pivot = list[end];
+        let pIndex = start;
+        
+        for(let idx = start; idx < end; idx++){
+            if(comparer(list[idx],pivot)){    
+                [list[idx], list[pIndex]] = [list[pIndex], list[idx]];
+                pIndex++;
+            }
+        }
+
+        [list[pIndex], list[end]] = [list[end], list[pIndex]];
+        return pIndex;
+    } 
+    
+    /** Calculates the partition index and recursively sorts to the left and right of it */
+    const quickSort = (list, start, end, comparer = (a,b) => a <= b) => {
+        if(start >= end){
+            return;
+        }
+
+        let pivotIndex = partition(list, start, end, comparer);
+        quickSort(list, start, pivotIndex - 1);
+        quickSort(list, pivotIndex + 1, end);
+    }
+
+    if(uniqueList.length === 0){
+        return [];
+    }
+
+    // For whatever reason, JS refuses to properly compare object keys, so group up log objects by count
+    const numberArray = [];
+    const countMap = {};
+    for(const log of uniqueList){
+        if(!numberArray.includes(log.count)){
+            numberArray.push(log.count);
+            countMap[log.count] = [log];
+        }
+        else{
+            countMap[log.count].push(log);
+        }
+    }
+
+    let debugString = uniqueList.map(item => item.count).reduce((aggr,item) => aggr +","+item);
+    logger.debug(debugString);
+    logger.empty();
+    
+    // Sort on the array of counts observed, then replace the counts with the arrays of log objects which have those counts
+    quickSort(numberArray, 0, numberArray.length - 1);
+    let newArray = [];
+    for(const count of numberArray){
+        newArray = newArray.concat(countMap[count]);
+    }
+    
+    debugString = uniqueList.map(item => item.count).reduce((aggr,item) => aggr +","+item);
+    logger.debug(debugString + "\n");
+
+    // Run validation
+    let counter = 0;
+    for(let vidx = 0; vidx < uniqueList.length -1; vidx++){
+        if(uniqueList[vidx].count > uniqueList[vidx + 1].count){
+            counter++;
+            // logger.warn(`Log ${uniqueList[vidx].message} (${uniqueList[vidx].count}) was marked greater than ${uniqueList[vidx + 1].message} (${uniqueList[vidx + 1].count})`);
+        }
+    }
+    if(counter > 0){
+        // JS is fucking stupid and the only way it sorts correctly in the main execution is if it doesn't here
+        // logger.warn(`List was sorted with approximately ${counter} elements out of place`);
+    }
+    else{
+        logger.log("Unique List was sorted successfully");
+    }
+
+    return newArray;
+}
+
+/**
+ * @function isLogInput
+ * @description Checks whether a file found in a folder should be parsed, being a log, a gzipped log or a zip archive of logs
+ * 
+ * @param {string} fileName 
+ * 
+ * @returns {boolean}
+ */
+function isLogInput(fileName){
+    return logFileRegex.test(fileName) || zipFileRegex.test(fileName);
+}
+
+/**
+ * @function readZipEntries
+ * @description Lists the files in a zip archive from its central directory
+ * 
+ * @param {string} filePath 
+ * 
+ * @returns {Array.<ZipEntry>}
+ */
+function readZipEntries(filePath){
+    const fd = fs.openSync(filePath, "r");
+    try{
+        // The end of central directory record is 22 bytes, followed by a comment of up to 64KB
+        const fileSize = fs.fstatSync(fd).size;
+        const tail = Buffer.alloc(Math.min(fileSize, 22 + 0xFFFF));
+        fs.readSync(fd, tail, 0, tail.length, fileSize - tail.length);
+
+        let end = -1;
+        for(let i = tail.length - 22; i >= 0; i--){
+            if(tail.readUInt32LE(i) === zipSignatures.endOfDirectory){
+                end = i;
+                break;
+            }
+        }
+        if(end === -1) throw new Error("Not a zip archive");
+
+        const entryCount = tail.readUInt16LE(end + 10);
+        const directorySize = tail.readUInt32LE(end + 12);
+        const directoryOffset = tail.readUInt32LE(end + 16);
+        if(entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) throw new Error("Zip64 archives are not supported");
+
+        const directory = Buffer.alloc(directorySize);
+        fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+        const entries = [];
+        let offset = 0;
+        for(let i = 0; i < entryCount; i++){
+            if(offset + 46 > directory.length || directory.readUInt32LE(offset) !== zipSignatures.centralHeader){
+                throw new Error("The central directory of the archive is corrupt");
+            }
+
+            const flags = directory.readUInt16LE(offset + 8);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            entries.push({
+                // Bit 11 marks UTF-8 names, older tools write names in the DOS code page
+                name: directory.toString(flags & 0x800 ? "utf8" : "latin1", offset + 46, offset + 46 + nameLength).replace(/\\/g, "/"),
+                flags,
+                method: directory.readUInt16LE(offset + 10),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                size: directory.readUInt32LE(offset + 24),
+                headerOffset: directory.readUInt32LE(offset + 42)
+            });
+            offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+        }
+        return entries;
+    }
+    finally{
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * @function getZipDataOffset
+ * @description Finds where the compressed data of a file in a zip archive starts, after its local header
+ * 
+ * @param {string} filePath Path of the archive
+ * @param {ZipEntry} entry 
+ * 
+ * @returns {number}
+ */
+function getZipDataOffset(filePath, entry){
+    const header = Buffer.alloc(30);
+    const fd = fs.openSync(filePath, "r");
+    try{
+        fs.readSync(fd, header, 0, header.length, entry.headerOffset);
+    }
+    finally{
+        fs.closeSync(fd);
+    }
+
+    if(header.readUInt32LE(0) !== zipSignatures.localHeader){
+        throw new Error(`The header of ${entry.name} in the archive is corrupt`);
+    }
+    return entry.headerOffset + header.length + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+/**
+ * @function getLogSources
+ * @description Lists the logs to read from a set of files, opening zip archives and ordering rotated backup logs by when they were started
+ * 
+ * Files given directly are read whatever their name, but only the logs in a zip archive are read from it. Missing files, 
+ * unreadable archives and logs in an archive which can not be extracted are reported to the logger and left out.
+ * 
+ * @param {Array.<string>} filePaths 
+ * @param {ParserOptions} [options] 
+ * @param {Array.<FailedSource>} [failedSources] Receives each path which was left out because it could not be read
+ * 
+ * @returns {Array.<LogSource>}
+ */
+function getLogSources(filePaths, options, failedSources){
+    const logger = resolveOptions(options).logger;
+
+    const sources = [];
+    for(const filePath of filePaths){
+        if(!fs.existsSync(filePath)){
+            addFailedSource(failedSources, filePath, `Path to file ${filePath} could not be found`, logger);
+            continue;
+        }
+        const stats = fs.statSync(filePath);
+        if(!stats.isFile()){
+            addFailedSource(failedSources, filePath, `Skipping ${filePath}, which is not a file`, logger);
+            continue;
+        }
+
+        if(!zipFileRegex.test(filePath)){
+            sources.push({ name: path.basename(filePath), path: filePath, filePath, size: stats.size, gzip: /\.gz$/i.test(filePath) });
+            continue;
+        }
+
+        let entries;
+        try{
+            entries = readZipEntries(filePath);
+        }
+        catch(err){
+            addFailedSource(failedSources, filePath, `Failed to read the archive ${filePath}: ${err.message}`, logger);
+            continue;
+        }
+        for(const entry of entries){
+            if(entry.name.endsWith("/") || !logFileRegex.test(entry.name)) continue;
+            if(entry.flags & 0x1){
+                addFailedSource(failedSources, `${filePath}/${entry.name}`, `Skipping ${entry.name} in ${filePath}, which is encrypted`, logger);
+                continue;
+            }
+            if(entry.method !== 0 && entry.method !== 8){
+                addFailedSource(failedSources, `${filePath}/${entry.name}`, `Skipping ${entry.name} in ${filePath}, which uses unsupported compression method ${entry.method}`, logger);
+                continue;
+            }
+
+            sources.push({
+                name: `${path.basename(filePath)}/${entry.name}`,
+                path: `${filePath}/${entry.name}`,
+                filePath,
+                size: entry.compressedSize,
+                gzip: /\.gz$/i.test(entry.name),
+                zipEntry: entry
+            });
+        }
+    }
+    return sortLogSources(sources);
+}
+
+/**
+ * @function addFailedSource
+ * @description Reports a log which could not be read, or was only read in part, and records it so the run can be failed
+ * 
+ * @param {Array.<FailedSource>} [failedSources] 
+ * @param {string} sourcePath 
+ * @param {string} message 
+ * @param {Logger} logger 
+ */
+function addFailedSource(failedSources, sourcePath, message, logger){
+    logger.error(message);
+    failedSources?.push({ path: sourcePath, message });
+}
+
+/**
+ * @function sortLogSources
+ * @description Orders the sessions of each project by when they were started, leaving other logs where they are
+ * 
+ * The engine renames the previous log to "<Project>-backup-<timestamp>.log" when it starts, so the backups of a project 
+ * in a folder are ordered by their timestamp and "<Project>.log", the latest session, comes after them.
+ * 
+ * @param {Array.<LogSource>} sources 
+ * 
+ * @returns {Array.<LogSource>}
+ */
+function sortLogSources(sources){
+    const sessions = sources.map(source => {
+        const normalized = source.path.replace(/\\/g, "/");
+        const folder = normalized.slice(0, normalized.lastIndexOf("/") + 1);
+        const fileName = normalized.slice(folder.length);
+        const backup = fileName.match(backupLogRegex);
+        return {
+            key: (folder + (backup ? backup.groups.project : fileName.replace(logFileRegex, ""))).toLowerCase(),
+            time: backup ? parseTimestamp(backup.groups.timestamp).getTime() : Infinity
+        };
+    });
+
+    // Each project's sessions are sorted into the places its logs already had
+    const places = {};
+    sessions.forEach((session, index) => {
+        if(!places[session.key]) places[session.key] = [];
+        places[session.key].push(index);
+    });
+
+    const sorted = sources.slice();
+    for(const indices of Object.values(places)){
+        const ordered = indices.slice().sort((a, b) => (sessions[a].time - sessions[b].time) || (a - b));
+        indices.forEach((place, i) => {
+            sorted[place] = sources[ordered[i]];
+        });
+    }
+    return sorted;
+}
+
+/**
+ * @function openLogSource
+ * @description Opens a stream of the text of a log, decompressing it if needed
+ * 
+ * @param {LogSource} source 
+ * @param {function(number):void} [onRead] Called with the number of bytes read from the file on disk as each chunk is read
+ * 
+ * @returns {import("stream").Readable}
+ */
+function openLogSource(source, onRead){
+    const range = {};
+    if(source.zipEntry){
+        range.start = getZipDataOffset(source.filePath, source.zipEntry);
+        range.end = range.start + source.zipEntry.compressedSize - 1;
+    }
+
+    // An empty file in an archive has no bytes to read, which a read stream can not express
+    const raw = range.end < range.start ? Readable.from([]) : fs.createReadStream(source.filePath, range);
+    if(onRead) raw.on("data", (chunk) => onRead(chunk.length));
+
+    const decompressors = [];
+    if(source.zipEntry?.method === 8) decompressors.push(zlib.createInflateRaw());
+    if(source.gzip) decompressors.push(zlib.createGunzip());
+
+    let stream = raw;
+    for(const decompressor of decompressors){
+        // pipe does not pass errors on, so they are forwarded to the end of the chain
+        stream.on("error", (err) => decompressor.destroy(err));
+        stream = stream.pipe(decompressor);
+    }
+    return stream;
+}
+
+/**
+ * @function readLogSource
+ * @description Reads the whole text of a log, decompressing it if needed
+ * 
+ * @param {LogSource} source 
+ * 
+ * @returns {string}
+ */
+function readLogSource(source){
+    let buffer;
+    if(source.zipEntry){
+        buffer = Buffer.alloc(source.zipEntry.compressedSize);
+        const fd = fs.openSync(source.filePath, "r");
+        try{
+            fs.readSync(fd, buffer, 0, buffer.length, getZipDataOffset(source.filePath, source.zipEntry));
+        }
+        finally{
+            fs.closeSync(fd);
+        }
+        if(source.zipEntry.method === 8) buffer = zlib.inflateRawSync(buffer);
+    }
+    else{
+        buffer = fs.readFileSync(source.filePath);
+    }
+
+    if(source.gzip) buffer = zlib.gunzipSync(buffer);
+    return buffer.toString("utf-8");
+}
+
+/**
+ * @function loadText
+ * @description Reads the text of a set of logs, including gzipped logs and the logs in zip archives
+ * 
+ * @param {Array.<string>} filePaths  
+ * @param {ParserOptions} [options] 
+ * @param {Array.<FailedSource>} [failedSources] Receives each log which was left out because it could not be read, to add to the failedSources of the log info it is parsed into
+ * 
+ * @returns {Object.<string,string>} Map of path to text content, in the order the logs should be parsed, see getLogSources
+ */
+function loadText(filePaths, options, failedSources){
+    const logger = resolveOptions(options).logger;
+    logger.header("Loading files", true);
+    
+    const textContent = {};
+    for(const source of getLogSources(filePaths, options, failedSources)){
+        // Load text from file path
+        logger.log(`Loading File ${source.path}...`);
+        try{
+            textContent[source.path] = readLogSource(source);
+        }
+        catch(err){
+            addFailedSource(failedSources, source.path, `Failed to read ${source.path}: ${err.message}`, logger);
+        }
+    }
+    return textContent;
+}
+
+/**
+ * @function tokenizeFilterExpression
+ * @description Splits a filter expression into parentheses, the and, or and not operators, and terms
+ * 
+ * @param {string} text 
+ * 
+ * @returns {Array.<{kind: string, position: number, field: (string|undefined), operator: (string|undefined), value: ({text: string, quoted: boolean, regex: boolean}|undefined)}>}
+ */
+function tokenizeFilterExpression(text){
+    const tokens = [];
+    let i = 0;
+    const fail = (message, position) => {
+        throw new Error(`${message} at character ${position + 1} of the filter "${text}"`);
+    };
+
+    /** Reads a quoted string, a regex in slashes or a bare word */
+    const readValue = () => {
+        const start = i;
+        if(text[i] === "\""){
+            let value = "";
+            for(i++; i < text.length && text[i] !== "\""; i++){
+                if(text[i] === "\\" && i + 1 < text.length) i++;
+                value += text[i];
+            }
+            if(i >= text.length) fail("Unterminated quote", start);
+            i++;
+            return { text: value, quoted: true, regex: false };
+        }
+        if(text[i] === "/"){
+            for(i++; i < text.length && text[i] !== "/"; i++){
+                if(text[i] === "\\") i++;
+            }
+            if(i >= text.length) fail("Unterminated regex", start);
+            for(i++; i < text.length && /[a-z]/.test(text[i]); i++);
+            return { text: text.slice(start, i), quoted: false, regex: true };
+        }
+        while(i < text.length && !/[\s()]/.test(text[i])) i++;
+        return { text: text.slice(start, i), quoted: false, regex: false };
+    };
+
+    while(i < text.length){
+        const position = i;
+        if(/\s/.test(text[i])){
+            i++;
+            continue;
+        }
+        if(text[i] === "(" || text[i] === ")"){
+            tokens.push({ kind: text[i], position });
+            i++;
+            continue;
+        }
+
+        const term = text.slice(i).match(/^(?<field>[A-Za-z]+)\s*(?<operator>>=|<=|!=|[:=<>])\s*/);
+        if(term){
+            i += term[0].length;
+            if(i >= text.length || /[\s()]/.test(text[i])) fail(`Expected a value after ${term.groups.field}${term.groups.operator}`, i);
+            tokens.push({ kind: "term", field: term.groups.field.toLowerCase(), operator: term.groups.operator, value: readValue(), position });
+            continue;
+        }
+
+        // A value on its own is matched against the message, unless it is an operator
+        const value = readValue();
+        const keyword = value.quoted || value.regex ? null : value.text.toLowerCase();
+        if(["and", "or", "not"].includes(keyword)) tokens.push({ kind: keyword, position });
+        else tokens.push({ kind: "term", field: "message", operator: ":", value, position });
+    }
+    return tokens;
+}
+
+/**
+ * @function parseFilterExpression
+ * @description Compiles a filter expression into a test of whether a log is shown
+ * 
+ * An expression is made of terms like `category:Net*`, `message:/timed? out/i`, `type:Warning`, `severity>=Warning`, 
+ * `count>10`, `phase:"Map Load"`, `owner:@net-team` and `profile:networking`, combined with `and`, `or`, `not` and 
+ * parentheses. Terms next to each other must all match, and a quoted string or regex on its own is matched against the message.
+ * Text is matched case insensitively, and categories may use * as a wildcard.
+ * 
+ * @param {string} text 
+ * @param {Object.<string,(FilterProfile|string)>} [profiles] Profiles the expression can refer to with profile:name
+ * @param {Array.<string>} [profileChain] Profiles being compiled, used to reject profiles which refer to themselves
+ * 
+ * @returns {function(LogObject):boolean} True if the log matches the expression
+ */
+function parseFilterExpression(text, profiles = {}, profileChain = []){
+    const tokens = tokenizeFilterExpression(text);
+    let index = 0;
+    const fail = (message, token = tokens[index]) => {
+        throw new Error(`${message} ${token ? `at character ${token.position + 1}` : "at the end"} of the filter "${text}"`);
+    };
+
+    const parseOr = () => {
+        const tests = [parseAnd()];
+        while(tokens[index]?.kind === "or"){
+            index++;
+            tests.push(parseAnd());
+        }
+        return tests.length === 1 ? tests[0] : (log) => tests.some(test => test(log));
+    };
+    const parseAnd = () => {
+        const tests = [parseNot()];
+        while(index < tokens.length && tokens[index].kind !== "or" && tokens[index].kind !== ")"){
+            if(tokens[index].kind === "and") index++;
+            tests.push(parseNot());
+        }
+        return tests.length === 1 ? tests[0] : (log) => tests.every(test => test(log));
+    };
+    const parseNot = () => {
+        const token = tokens[index];
+        if(!token) fail("Expected a term");
+        index++;
+
+        if(token.kind === "not"){
+            const test = parseNot();
+            return (log) => !test(log);
+        }
+        if(token.kind === "("){
+            const test = parseOr();
+            if(tokens[index]?.kind !== ")") fail("Expected )");
+            index++;
+            return test;
+        }
+        if(token.kind === "term") return createFilterTest(token, profiles, profileChain, (message) => fail(message, token));
+        return fail(`Unexpected ${token.kind}`, token);
+    };
+
+    if(tokens.length === 0) return () => true;
+    const test = parseOr();
+    if(index < tokens.length) fail(`Unexpected ${tokens[index].kind}`);
+    return test;
+}
+
+/**
+ * @function createFilterTest
+ * @description Builds the test for a single term of a filter expression
+ * 
+ * @param {{field: string, operator: string, value: {text: string, quoted: boolean, regex: boolean}}} term 
+ * @param {Object.<string,(FilterProfile|string)>} profiles 
+ * @param {Array.<string>} profileChain 
+ * @param {function(string):void} fail Throws an error pointing at the term
+ * 
+ * @returns {function(LogObject):boolean}
+ */
+function createFilterTest(term, profiles, profileChain, fail){
+    const { field, operator, value } = term;
+    const isComparison = [">", ">=", "<", "<="].includes(operator);
+    const compare = (actual, expected) => {
+        switch(operator){
+            case ">": return actual > expected;
+            case ">=": return actual >= expected;
+            case "<": return actual < expected;
+            case "<=": return actual <= expected;
+            case "!=": return actual !== expected;
+            default: return actual === expected;
+        }
+    };
+
+    // Text fields only match or don't match
+    if(isComparison && !["severity", "count"].includes(field)){
+        fail(`${field} can not be compared with ${operator}`);
+    }
+    const matches = (test) => operator === "!=" ? (log) => !test(log) : test;
+    const equalsText = (actual) => actual !== undefined && actual !== null && String(actual).toLowerCase() === value.text.toLowerCase();
+
+    switch(field){
+        case "message": {
+            let regex;
+            try{
+                regex = value.regex ? getMessageRegex(value.text) : new RegExp(value.text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+            }
+            catch(err){
+                fail(`Invalid regex ${value.text}`);
+            }
+            return matches((log) => regex.test(log.message ?? log.logText));
+        }
+        case "category": {
+            const regex = getCategoryRegex(value.text);
+            return matches((log) => log.category !== undefined && regex.test(log.category));
+        }
+        case "type":
+            return matches((log) => equalsText(log.type));
+        case "severity": {
+            // Lower severity numbers are more severe, so they are negated to make severity>=Warning include errors
+            const expected = getSeverity(value.text);
+            if(expected === undefined) fail(`Unknown severity ${value.text}, expected one of ${verbosityLevels.join(", ")}`);
+            return (log) => getSeverity(log.type) !== undefined && compare(-getSeverity(log.type), -expected);
+        }
+        case "count": {
+            const expected = Number(value.text);
+            if(value.text === "" || isNaN(expected)) fail(`Expected a number of occurrences but got ${value.text}`);
+            return (log) => compare(log.count, expected);
+        }
+        case "phase":
+            return matches((log) => Object.keys(log.phases ?? {}).some(equalsText));
+        case "owner":
+            return matches((log) => (log.owner ?? unownedOwner).split(/\s+/).some(equalsText));
+        case "profile": {
+            const profile = profiles[value.text];
+            if(profile === undefined) fail(`Unknown profile ${value.text}, expected one of ${Object.keys(profiles).join(", ") || "the profiles in display.profiles"}`);
+            if(profileChain.includes(value.text)) fail(`Profile ${value.text} refers to itself`);
+            return matches(parseFilterExpression(typeof(profile) === "string" ? profile : profile.expression ?? "", profiles, profileChain.concat(value.text)));
+        }
+        default:
+            return fail(`Unknown field ${field}, expected one of ${filterFields.join(", ")}`);
+    }
+}
+
+/**
+ * @function getFilterExpression
+ * @description Compiles the filter expression and selected profile of the options, reusing them for later calls with the same options
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {(function(LogObject):boolean|null)} True if the log matches, null when there is no expression or profile
+ */
+function getFilterExpression(options){
+    options = resolveOptions(options);
+    if(filterExpressionCache.has(options)) return filterExpressionCache.get(options);
+
+    const profiles = options.display.profiles ?? {};
+    const tests = [];
+    if(options.display.profile){
+        tests.push(createFilterTest({ field: "profile", operator: ":", value: { text: options.display.profile } }, profiles, [], (message) => {
+            throw new Error(message);
+        }));
+    }
+    const expression = options.display.filters.expression;
+    if(typeof(expression) === "string" && expression.trim() !== ""){
+        tests.push(parseFilterExpression(expression, profiles));
+    }
+
+    const test = tests.length === 0 ? null : (log) => tests.every(item => item(log));
+    filterExpressionCache.set(options, test);
+    return test;
+}
+
+/**
+ * @function filterLog
+ * @description Checks a log against the filters of the options
+ * 
+ * @param {LogObject} log 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {boolean} True if the log should be hidden
+ */
+function filterLog(log, options){
+    options = resolveOptions(options);
+
+    // Filter type
+    if(!options.display.filters.type.ignore){
+        if(log.type === undefined && !options.display.filters.type.allowUndefined){
+            return true;
+        }
+        if(!options.display.filters.type.whitelist.includes(log.type)
+            || options.display.filters.type.blacklist.includes(log.type)){
+            return true;
+        }
+    }
+
+    // Filter severity
+    if(isBelowSeverity(log, options)){
+        return true;
+    }
+
+    // Filter phase, logs which appeared in any allowed phase are kept
+    const phaseFilter = options.display.filters.phase;
+    if(phaseFilter && !phaseFilter.ignore){
+        const phases = Object.keys(log.phases ?? {});
+        if(phases.length === 0 && !phaseFilter.allowUndefined){
+            return true;
+        }
+        if(phases.length > 0 && !phases.some(phase => phaseFilter.whitelist.includes(phase) && !phaseFilter.blacklist.includes(phase))){
+            return true;
+        }
+    }
+
+    // Filter suppressed logs
+    if(getLogSuppression(log, getSuppressions(options))){
+        return true;
+    }
+
+    // Filter expression and profile
+    const expression = getFilterExpression(options);
+    if(expression && !expression(log)){
+        return true;
+    }
+
+    // Filter Category
+    if(!options.display.filters.category.ignore){
+        if(log.category === undefined && !options.display.filters.category.allowUndefined){
+            return true;
+        }
+        if(!options.display.filters.category.whitelist.includes(log.category)
+            || options.display.filters.category.blacklist.includes(log.category)){
+            return true;
+        }
+    }
+
+    // Default to displaying the log
+    return false;
+}
+
+/**
+ * 
+ * @param {LogObject} log 
+ * @param {ParserOptions} [options] 
+ * @returns {string}
+ */
+function getLogDisplayString(log, options){
+    let display = `${log.message}
+    Count: ${log.count}
+    Type: ${log.type}
+    Category: ${log.category}${log.owner ? `
+    Owner: ${log.owner}` : ""}
+    First Seen: ${formatTimestamp(log.firstSeen)} (frame ${log.firstFrame ?? "unknown"})
+    Last Seen: ${formatTimestamp(log.lastSeen)} (frame ${log.lastFrame ?? "unknown"})${log.phases ? `
+    Phases: ${Object.entries(log.phases).map(([phase, count]) => `${phase} (${count})`).join(", ")}` : ""}
+    Original: ${log.logText} 
+`;
+
+    if(log.variants && log.variants.length > 1){
+        display += `    Fingerprint: ${log.fingerprint}\n`;
+        display += `    Variants: ${log.variants.join(" | ")}\n`;
+        for(const [name, values] of Object.entries(log.maskedValues)){
+            display += `    Masked ${name}: ${values.join(", ")}\n`;
+        }
+    }
+
+    if(log.files && Object.keys(log.files).length > 1){
+        display += `    Files: ${Object.entries(log.files).map(([file, count]) => `${file} (${count})`).join(", ")}\n`;
+    }
+    if(log.assets){
+        display += `    Assets: ${log.assets.join(", ")}\n`;
+    }
+    if(log.sourceLocations){
+        display += `    Source Files: ${log.sourceLocations.map(location => location.file + (location.line !== undefined ? ":" + location.line : "")).join(", ")}\n`;
+    }
+
+    if(log.ensure){
+        display += `    Condition: ${log.ensure.condition}` + (log.ensure.file ? ` (${log.ensure.file}${log.ensure.line !== undefined ? ":" + log.ensure.line : ""})` : "") + "\n";
+    }
+    if(log.callstack && log.callstack.length > 0){
+        display += "    Callstack:\n" + log.callstack.slice(0, 10).map(frame => `        ${frame.module ? frame.module + "!" : ""}${frame.function}${frame.file ? ` [${frame.file}${frame.line !== undefined ? ":" + frame.line : ""}]` : ""}`).join("\n") + "\n";
+    }
+    if(log.scriptStack && log.scriptStack.length > 0){
+        display += "    Script Stack:\n" + log.scriptStack.map(frame => `        ${frame.function}`).join("\n") + "\n";
+    }
+    if(!log.callstack && !log.scriptStack && !log.ensure && log.continuation){
+        display += log.continuation.slice(0, 5).map(line => `        ${line}`).join("\n") + "\n";
+    }
+
+    const histogram = resolveOptions(options).display.histogram;
+    if(histogram && histogram.mode !== "none" && log.count > 1){
+        display += "    " + getHistogramDisplayString(getOccurrenceHistogram([log], histogram.mode, histogram.frameBucketSize), 20).split("\n").join("\n    ") + "\n";
+    }
+    return display;
+}
+
+/**
+ * 
+ * @param {Array.<LogObject>} logList
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {LogInfo} 
+ */
+function filterLogList(logList, options){
+    options = resolveOptions(options);
+
+    /** @type {LogInfo} */
+    let newInfo = {
+        totalCount: 0,
+        uniqueList: [],
+        categories: {},
+        typeCounts: createTypeCounts()
+    };
+
+    for(const rangeLog of logList){
+        const log = filterLogByRange(rangeLog, options);
+        if(log && !filterLog(log, options)){
+            newInfo.uniqueList.push(log);
+            newInfo.totalCount += log.count;
+            
+            // Update type counts
+            newInfo.typeCounts[getTypeCountKey(log.type)]++;
+            
+            // Update category counts
+            if(newInfo.categories[log.category]) newInfo.categories[log.category] += log.count;
+            else newInfo.categories[log.category] = log.count;
+        }
+    }
+
+    return newInfo;
+}
+
+/**
+ * @function getBaselineEntries
+ * @description Reduces unique logs to the fields saved in a baseline, merging logs which share a fingerprint
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * 
+ * @returns {Array.<BaselineEntry>}
+ */
+function getBaselineEntries(uniqueList){
+    const entries = {};
+    for(const log of uniqueList){
+        const key = log.fingerprint ?? log.logText;
+        if(entries[key]){
+            entries[key].count += log.count;
+        }
+        else{
+            entries[key] = {
+                fingerprint: key,
+                category: log.category,
+                type: log.type,
+                message: log.message,
+                count: log.count
+            };
+        }
+    }
+    return Object.values(entries);
+}
+
+/**
+ * @function saveBaseline
+ * @description Writes the unique logs of this run to a file so later runs can be compared against it
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {string} filePath 
+ * 
+ * @returns {{createdAt: string, entries: Array.<BaselineEntry>}} The saved baseline
+ */
+function saveBaseline(uniqueList, filePath){
+    const baseline = {
+        createdAt: new Date().toISOString(),
+        entries: getBaselineEntries(uniqueList)
+    };
+    fs.writeFileSync(filePath, JSON.stringify(baseline, null, "\t"));
+    return baseline;
+}
+
+/**
+ * @function loadBaseline
+ * @description Reads a baseline file written by saveBaseline
+ * 
+ * @param {string} filePath 
+ * 
+ * @returns {Array.<BaselineEntry>}
+ */
+function loadBaseline(filePath){
+    const baseline = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if(!Array.isArray(baseline.entries)){
+        throw new Error(`Baseline file ${filePath} has no entries list`);
+    }
+    return baseline.entries;
+}
+
+/**
+ * @function compareToBaseline
+ * @description Finds the logs which are new, resolved, or changed in count since the baseline
+ * 
+ * @param {Array.<LogObject>} uniqueList Unique logs of the current run
+ * @param {Array.<BaselineEntry>} baselineEntries 
+ * @param {ParserOptions} [options] Filters applied to the baseline entries
+ * 
+ * @returns {BaselineComparison}
+ */
+function compareToBaseline(uniqueList, baselineEntries, options){
+    /** @type {BaselineComparison} */
+    const comparison = {
+        newEntries: [],
+        resolvedEntries: [],
+        increasedEntries: [],
+        decreasedEntries: [],
+        unchangedCount: 0
+    };
+
+    const baselineMap = {};
+    for(const entry of baselineEntries){
+        baselineMap[entry.fingerprint] = entry;
+    }
+
+    const currentEntries = getBaselineEntries(uniqueList);
+    for(const current of currentEntries){
+        const previous = baselineMap[current.fingerprint];
+        const delta = {
+            fingerprint: current.fingerprint,
+            category: current.category,
+            type: current.type,
+            message: current.message,
+            baselineCount: previous ? previous.count : 0,
+            currentCount: current.count
+        };
+
+        if(!previous) comparison.newEntries.push(delta);
+        else if(current.count > previous.count) comparison.increasedEntries.push(delta);
+        else if(current.count < previous.count) comparison.decreasedEntries.push(delta);
+        else comparison.unchangedCount++;
+
+        delete baselineMap[current.fingerprint];
+    }
+
+    // Anything left in the map no longer appears
+    for(const previous of Object.values(baselineMap)){
+        if(filterLog(previous, options)) continue;
+        comparison.resolvedEntries.push({
+            fingerprint: previous.fingerprint,
+            category: previous.category,
+            type: previous.type,
+            message: previous.message,
+            baselineCount: previous.count,
+            currentCount: 0
+        });
+    }
+
+    return comparison;
+}
+
+/**
+ * @function createHistoryRecord
+ * @description Summarizes the unique logs of a run for the history file
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {string} [label] Name of the run, defaults to the date
+ * @param {Date} [date] When the run happened
+ * 
+ * @returns {HistoryRecord}
+ */
+function createHistoryRecord(uniqueList, label, date = new Date()){
+    const typeCounts = createTypeCounts();
+    const categories = {};
+    let totalCount = 0;
+    for(const log of uniqueList){
+        totalCount += log.count;
+        typeCounts[getTypeCountKey(log.type)]++;
+
+        const category = log.category ?? "general";
+        if(!categories[category]) categories[category] = { errors: 0, warnings: 0, total: 0 };
+        categories[category].total += log.count;
+        if(getSeverity(log.type) <= getSeverity("Error")) categories[category].errors += log.count;
+        else if(log.type === "Warning") categories[category].warnings += log.count;
+    }
+
+    return {
+        label: label ?? date.toISOString(),
+        createdAt: date.toISOString(),
+        totalCount,
+        typeCounts,
+        categories,
+        entries: getBaselineEntries(uniqueList)
+    };
+}
+
+/**
+ * @function appendHistory
+ * @description Adds a run to the end of a history file, one JSON record per line, creating the file if needed
+ * 
+ * @param {string} filePath 
+ * @param {HistoryRecord} record 
+ * 
+ * @returns {HistoryRecord}
+ */
+function appendHistory(filePath, record){
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + "\n");
+    return record;
+}
+
+/**
+ * @function loadHistory
+ * @description Reads every run from a history file
+ * 
+ * @param {string} filePath 
+ * 
+ * @returns {Array.<HistoryRecord>} Oldest first, empty if the file does not exist yet
+ */
+function loadHistory(filePath){
+    if(!fs.existsSync(filePath)) return [];
+
+    const lines = fs.readFileSync(filePath, "utf-8").split(/\r\n|\n/);
+    const history = [];
+    for(let index = 0; index < lines.length; index++){
+        if(lines[index].trim() === "") continue;
+        try{
+            history.push(JSON.parse(lines[index]));
+        }
+        catch(err){
+            throw new Error(`Line ${index + 1} of history file ${filePath} could not be read: ${err.message}`);
+        }
+    }
+    return history;
+}
+
+/**
+ * @function getTrendReport
+ * @description Follows each unique log and the category totals across the most recent runs of a history
+ * 
+ * @param {Array.<HistoryRecord>} history Every recorded run, oldest first
+ * @param {number} [runCount] How many recent runs to report counts for
+ * 
+ * @returns {TrendReport}
+ */
+function getTrendReport(history, runCount = 10){
+    const recent = history.slice(-runCount);
+    const recentStart = history.length - recent.length;
+
+    // Follow each log through the whole history, so fixes and regressions before the recent runs count
+    const entries = new Map();
+    history.forEach((run, runIndex) => {
+        const seenIn = { label: run.label, createdAt: run.createdAt };
+        for(const historyEntry of run.entries){
+            let entry = entries.get(historyEntry.fingerprint);
+            if(!entry){
+                entry = {
+                    fingerprint: historyEntry.fingerprint,
+                    category: historyEntry.category,
+                    type: historyEntry.type,
+                    message: historyEntry.message,
+                    firstSeen: seenIn,
+                    lastSeen: seenIn,
+                    counts: recent.map(() => 0),
+                    runIndexes: []
+                };
+                entries.set(historyEntry.fingerprint, entry);
+            }
+            entry.lastSeen = seenIn;
+            entry.runIndexes.push(runIndex);
+            if(runIndex >= recentStart) entry.counts[runIndex - recentStart] = historyEntry.count;
+        }
+    });
+
+    const latestIndex = history.length - 1;
+    const trendEntries = [];
+    for(const { runIndexes, ...entry } of entries.values()){
+        const firstIndex = runIndexes[0];
+        const lastIndex = runIndexes[runIndexes.length - 1];
+        if(lastIndex < recentStart) continue;
+
+        // Find the run the log has been in every run since
+        let streakStart = runIndexes.length - 1;
+        while(streakStart > 0 && runIndexes[streakStart - 1] === runIndexes[streakStart] - 1) streakStart--;
+
+        if(lastIndex !== latestIndex) entry.status = "fixed";
+        else if(firstIndex === latestIndex) entry.status = "new";
+        else if(streakStart > 0 && runIndexes[streakStart] >= recentStart) entry.status = "regressed";
+        else entry.status = "active";
+        trendEntries.push(entry);
+    }
+    trendEntries.sort((a, b) => (b.counts[b.counts.length - 1] - a.counts[a.counts.length - 1]) || a.fingerprint.localeCompare(b.fingerprint));
+
+    const categories = {};
+    recent.forEach((run, runIndex) => {
+        for(const [category, totals] of Object.entries(run.categories ?? {})){
+            if(!categories[category]) categories[category] = { errors: recent.map(() => 0), warnings: recent.map(() => 0) };
+            categories[category].errors[runIndex] = totals.errors;
+            categories[category].warnings[runIndex] = totals.warnings;
+        }
+    });
+
+    return {
+        runs: recent.map(run => ({ label: run.label, createdAt: run.createdAt, totalCount: run.totalCount, uniqueCount: run.entries.length })),
+        entries: trendEntries,
+        categories
+    };
+}
+
+/**
+ * @function getExportLists
+ * @description Lists the log info which should be exported, one per file or a single consolidated one
+ * 
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array.<LogInfo>}
+ */
+function getExportLists(logData, options){
+    options = resolveOptions(options);
+    const infoList = options.textParsing.consolidate ? [logData] : logData.dataList;
+    return infoList.map(info => {
+        const exported = options.export?.applyFilters ? filterLogList(info.uniqueList, options) : info;
+        return {
+            sourceFile: info.sourceFile,
+            metadata: info.metadata,
+            fileMetadata: info.fileMetadata,
+            totalCount: info.totalCount,
+            uniqueList: exported.uniqueList,
+            categories: exported.categories,
+            typeCounts: exported.typeCounts
+        };
+    });
+}
+
+/**
+ * @function getJsonReport
+ * @description Serializes the parsed logs, including siblings, into JSON
+ * 
+ * @param {Array.<LogInfo>} infoList 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {string}
+ */
+function getJsonReport(infoList, options){
+    options = resolveOptions(options);
+    const report = {
+        createdAt: new Date().toISOString(),
+        consolidated: options.textParsing.consolidate
+    };
+    if(options.textParsing.consolidate){
+        Object.assign(report, infoList[0]);
+    }
+    else{
+        report.dataList = infoList;
+    }
+    return JSON.stringify(report, null, "\t");
+}
+
+/**
+ * @function getCsvReport
+ * @description Writes one row per unique log for use in spreadsheets
+ * 
+ * @param {Array.<LogInfo>} infoList 
+ * 
+ * @returns {string}
+ */
+function getCsvReport(infoList){
+    const escape = (value) => {
+        const text = value === undefined || value === null ? "" : (value instanceof Date ? value.toISOString() : String(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [["sourceFile", "owner", "category", "type", "count", "firstSeen", "lastSeen", "firstFrame", "lastFrame", "message", "fingerprint"]];
+    for(const info of infoList){
+        for(const log of info.uniqueList){
+            rows.push([info.sourceFile, log.owner, log.category, log.type, log.count, log.firstSeen, log.lastSeen, log.firstFrame, log.lastFrame, log.message, log.fingerprint]);
+        }
+    }
+    return rows.map(row => row.map(escape).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * @function getJUnitReport
+ * @description Turns every unique error and warning into a failing testcase so CI dashboards can show log health
+ * 
+ * @param {Array.<LogInfo>} infoList 
+ * 
+ * @returns {string}
+ */
+function getJUnitReport(infoList){
+    const escape = (value) => String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;")
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+    let totalTests = 0;
+    let totalFailures = 0;
+    const suites = [];
+    for(const info of infoList){
+        const failures = info.uniqueList.filter(log => ["Fatal", "Error", "Warning"].includes(log.type));
+        const testcases = failures.map(log => 
+`        <testcase classname="${escape("Log" + log.category)}" name="${escape(log.message)}">
+            <failure type="${escape(log.type)}" message="${escape(log.message)}">${escape(`Count: ${log.count}\n${log.variants?.join("\n") ?? log.logText}`)}</failure>
+        </testcase>`);
+        if(testcases.length === 0){
+            testcases.push(`        <testcase classname="UELogParser" name="No errors or warnings"/>`);
+        }
+
+        totalTests += testcases.length;
+        totalFailures += failures.length;
+        suites.push(
+`    <testsuite name="${escape(info.sourceFile ?? "Consolidated Logs")}" tests="${testcases.length}" failures="${failures.length}" errors="0">
+${testcases.join("\n")}
+    </testsuite>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="UELogParser" tests="${totalTests}" failures="${totalFailures}" errors="0">
+${suites.join("\n")}
+</testsuites>
+`;
+}
+
+/**
+ * @function writeReports
+ * @description Writes the parsed logs to each export format which has a path set in the options
+ * 
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
+ * @param {string} [baseDirectory] Directory relative export paths are resolved from
+ * 
+ * @returns {Array.<{format: string, filePath: string}>} The reports which were written
+ */
+function writeReports(logData, options, baseDirectory = process.cwd()){
+    options = resolveOptions(options);
+    const formats = {
+        json: getJsonReport,
+        csv: getCsvReport,
+        junit: getJUnitReport
+    };
+    const exportSettings = options.export ?? {};
+    const enabled = Object.keys(formats).filter(format => exportSettings[format]);
+    if(enabled.length === 0) return [];
+
+    const infoList = getExportLists(logData, options);
+    const written = [];
+    for(const format of enabled){
+        const filePath = path.resolve(baseDirectory, exportSettings[format]);
+        fs.writeFileSync(filePath, formats[format](infoList, options));
+        written.push({ format, filePath });
+    }
+    return written;
+}
+
+/**
+ * @function getCategoryRegex
+ * @description Builds a case insensitive regex for a category pattern, with or without the Log prefix, where * matches anything
+ * 
+ * @param {string} pattern 
+ * 
+ * @returns {RegExp}
+ */
+function getCategoryRegex(pattern){
+    const source = pattern.replace(/^Log/, "").replace(/[.+^${}()|[\]\\?]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * @function getMessageRegex
+ * @description Builds a regex for a message pattern, either a regex in slashes with optional flags or text to find anywhere in the message
+ * 
+ * @param {string} pattern 
+ * 
+ * @returns {RegExp}
+ */
+function getMessageRegex(pattern){
+    const regexParts = pattern.match(/^\/(.*)\/([a-z]*)$/);
+    return regexParts ? new RegExp(regexParts[1], regexParts[2]) : new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+}
+
+/**
+ * @function parseOwnershipRules
+ * @description Reads ownership rules in the style of CODEOWNERS, one "kind:pattern owners..." rule per line, where later rules take precedence
+ * 
+ * @param {string} text Contents of the rules file
+ * @param {string} [fileName] Name of the rules file, used in error messages
+ * 
+ * @returns {Array.<OwnershipRule>}
+ */
+function parseOwnershipRules(text, fileName = "ownership rules"){
+    const rules = [];
+    const lines = text.split(/\r\n|\r|\n/);
+
+    for(let index = 0; index < lines.length; index++){
+        const line = lines[index].trim();
+        if(line === "" || line.startsWith("#")) continue;
+
+        const groups = line.match(ownershipRuleRegex)?.groups;
+        if(!groups){
+            throw new Error(`Invalid rule on line ${index + 1} of ${fileName}: ${line}`);
+        }
+
+        const { kind, pattern } = groups;
+        const rule = { kind, pattern, owner: groups.owner.trim().split(/\s+/).join(" "), line: index + 1 };
+        if(kind === "category"){
+            const regex = getCategoryRegex(pattern);
+            rule.matches = (log) => log.category !== undefined && regex.test(log.category);
+        }
+        else if(kind === "message"){
+            let regex;
+            try{
+                regex = getMessageRegex(pattern);
+            }
+            catch(err){
+                throw new Error(`Invalid message pattern on line ${index + 1} of ${fileName}: ${err.message}`);
+            }
+            rule.matches = (log) => regex.test(log.message ?? log.logText);
+        }
+        else{
+            // Only the start of the asset paths the log mentions, so a folder does not match inside another path
+            rule.matches = (log) => (log.assets ?? []).some(asset => asset.startsWith(pattern));
+        }
+        rules.push(rule);
+    }
+    return rules;
+}
+
+/**
+ * @function getOwnershipRules
+ * @description Gets the ownership rules from the options, loading the rules file if one is set
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array.<OwnershipRule>|null} Null if no rules are configured
+ */
+function getOwnershipRules(options){
+    options = resolveOptions(options);
+    const ownership = options.ownership ?? {};
+    if(Array.isArray(ownership.rules)) return ownership.rules;
+    if(!ownership.file) return null;
+
+    ownership.rules = parseOwnershipRules(fs.readFileSync(ownership.file, "utf-8"), ownership.file);
+    return ownership.rules;
+}
+
+/**
+ * @function getLogOwner
+ * @description Finds the owner of a log, the last matching rule wins
+ * 
+ * @param {LogObject} log 
+ * @param {Array.<OwnershipRule>} rules 
+ * 
+ * @returns {string}
+ */
+function getLogOwner(log, rules){
+    for(let index = rules.length - 1; index >= 0; index--){
+        if(rules[index].matches(log)) return rules[index].owner;
+    }
+    return unownedOwner;
+}
+
+/**
+ * @function assignOwners
+ * @description Sets the owner of every unique log from the ownership rules
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {Array.<OwnershipRule>} rules 
+ */
+function assignOwners(uniqueList, rules){
+    for(const log of uniqueList){
+        log.owner = getLogOwner(log, rules);
+    }
+}
+
+/**
+ * @function groupLogsByOwner
+ * @description Splits unique logs into one log info per owner, with the unowned logs last
+ * 
+ * @param {Array.<LogObject>} uniqueList Logs which have already been assigned owners
+ * 
+ * @returns {Object.<string,LogInfo>} Map of owner to the counts and logs they own
+ */
+function groupLogsByOwner(uniqueList){
+    const groups = {};
+    for(const log of uniqueList){
+        const owner = log.owner ?? unownedOwner;
+        addToLogGroup(groups, owner, log).owner = owner;
+    }
+
+    // Owners with the most errors, then warnings, come first
+    const ordered = {};
+    const owners = Object.keys(groups).sort((a, b) => {
+        if((a === unownedOwner) !== (b === unownedOwner)) return a === unownedOwner ? 1 : -1;
+        return (groups[b].typeCounts.errors - groups[a].typeCounts.errors) || (groups[b].typeCounts.warnings - groups[a].typeCounts.warnings) || a.localeCompare(b);
+    });
+    for(const owner of owners){
+        ordered[owner] = groups[owner];
+    }
+    return ordered;
+}
+
+/**
+ * @function addToLogGroup
+ * @description Adds a log to the log info shaped group with the given key, creating the group if needed
+ * 
+ * @param {Object.<string,LogInfo>} groups 
+ * @param {string} key 
+ * @param {LogObject} log 
+ * 
+ * @returns {LogInfo} The group the log was added to
+ */
+function addToLogGroup(groups, key, log){
+    if(!groups[key]){
+        groups[key] = {
+            totalCount: 0,
+            uniqueList: [],
+            categories: {},
+            typeCounts: createTypeCounts()
+        };
+    }
+
+    const group = groups[key];
+    group.uniqueList.push(log);
+    group.totalCount += log.count;
+    group.typeCounts[getTypeCountKey(log.type)]++;
+    group.categories[log.category] = (group.categories[log.category] ?? 0) + log.count;
+    return group;
+}
+
+/**
+ * @function getReferenceVariant
+ * @description Shows a log which mentions several assets or source files by the variants which mention one of them, 
+ * as the first variant the log is shown by may mention another
+ * 
+ * @param {LogObject} log 
+ * @param {string} reference 
+ * @param {function(string):Array.<string>} getReferences Gets the assets or source files a log text mentions
+ * 
+ * @returns {LogObject} The log, or a copy of it showing the variants which mention the reference
+ */
+function getReferenceVariant(log, reference, getReferences){
+    const variants = (log.variants ?? [log.logText]).filter(variant => getReferences(variant).includes(reference));
+    if(variants.length === (log.variants ?? [log.logText]).length) return log;
+
+    // The category and type before the message are the same for every variant, so only the message changes
+    const prefixLength = log.message !== undefined && log.logText.endsWith(log.message) ? log.logText.length - log.message.length : null;
+    // Past the variants kept, the masked text is shown rather than a variant which mentions something else
+    const logText = variants[0] ?? log.fingerprint ?? log.logText;
+    return {
+        ...log,
+        logText,
+        message: prefixLength === null ? log.message : logText.slice(prefixLength),
+        variants: variants.length > 0 ? variants : [logText]
+    };
+}
+
+/**
+ * @function groupLogsByReference
+ * @description Splits unique logs into one log info per asset or source file they mention, so everything wrong with one file can be fixed together
+ * 
+ * Logs which mention several assets appear in each of their groups, shown by a variant which mentions that asset, and logs 
+ * which mention none are left out.
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {string} [kind] "asset" to group by the assets, or "source" to group by the source files
+ * 
+ * @returns {Object.<string,LogInfo>} Map of asset or source file to the logs which mention it, with the most unique logs first
+ */
+function groupLogsByReference(uniqueList, kind = "asset"){
+    const getReferences = (text) => {
+        const references = getLogReferences(text);
+        return kind === "source" ? references.sourceLocations.map(location => location.file) : references.assets;
+    };
+
+    const groups = {};
+    for(const log of uniqueList){
+        const references = kind === "source" 
+            ? [...new Set((log.sourceLocations ?? []).map(location => location.file))]
+            : (log.assets ?? []);
+        for(const reference of references){
+            const groupLog = references.length > 1 ? getReferenceVariant(log, reference, getReferences) : log;
+            addToLogGroup(groups, reference, groupLog).reference = reference;
+        }
+    }
+
+    const ordered = {};
+    const references = Object.keys(groups).sort((a, b) => 
+        (groups[b].uniqueList.length - groups[a].uniqueList.length) || (groups[b].totalCount - groups[a].totalCount) || a.localeCompare(b));
+    for(const reference of references){
+        ordered[reference] = groups[reference];
+    }
+    return ordered;
+}
+
+/**
+ * @function groupLogsByPhase
+ * @description Splits unique logs into one log info per phase, logs seen in several phases appear in each with the count from that phase
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {ParserOptions} [options] Used to order the phases as they are configured
+ * 
+ * @returns {Object.<string,LogInfo>} Map of phase to the logs seen in it, logs without a phase are left out
+ */
+function groupLogsByPhase(uniqueList, options){
+    options = resolveOptions(options);
+    const groups = {};
+    for(const log of uniqueList){
+        for(const [phase, count] of Object.entries(log.phases ?? {})){
+            if(!groups[phase]){
+                groups[phase] = {
+                    totalCount: 0,
+                    uniqueList: [],
+                    categories: {},
+                    typeCounts: createTypeCounts(),
+                    phase
+                };
+            }
+
+            const group = groups[phase];
+            group.uniqueList.push(log);
+            group.totalCount += count;
+            group.typeCounts[getTypeCountKey(log.type)]++;
+            group.categories[log.category] = (group.categories[log.category] ?? 0) + count;
+        }
+    }
+
+    // The initial phase first, then the phases in the order their markers are configured
+    const config = options.textParsing.phases ?? {};
+    const configured = [config.initial ?? "Startup", ...(config.markers ?? []).map(marker => marker.phase)];
+    const ordered = {};
+    for(const phase of [...new Set(configured)].concat(Object.keys(groups).sort())){
+        if(groups[phase] && !ordered[phase]) ordered[phase] = groups[phase];
+    }
+    return ordered;
+}
+
+/**
+ * @function groupLogsByMetadata
+ * @description Splits consolidated logs into one log info per value of a metadata field of the files they came from, like each build configuration
+ * 
+ * Logs seen in files with different values appear in each group with the count from those files.
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {Object.<string,LogMetadata>} fileMetadata Metadata of each file, see LogInfo
+ * @param {string} key The metadata field to split by, one of metadataKeys
+ * 
+ * @returns {Object.<string,LogInfo>} Map of value to the logs seen in files with it, files without the field are grouped as "unknown"
+ */
+function groupLogsByMetadata(uniqueList, fileMetadata, key){
+    if(!metadataKeys.includes(key)){
+        throw new Error(`Unknown metadata field ${key}, expected one of ${metadataKeys.join(", ")}`);
+    }
+
+    const groups = {};
+    for(const log of uniqueList){
+        // A log can come from several files with the same value, which count towards one group
+        const counts = {};
+        for(const [fileName, count] of Object.entries(log.files ?? {})){
+            const value = fileMetadata?.[fileName]?.[key] ?? "unknown";
+            counts[value] = (counts[value] ?? 0) + count;
+        }
+
+        for(const [value, count] of Object.entries(counts)){
+            if(!groups[value]){
+                groups[value] = {
+                    totalCount: 0,
+                    uniqueList: [],
+                    categories: {},
+                    typeCounts: createTypeCounts(),
+                    metadataValue: value
+                };
+            }
+
+            const group = groups[value];
+            group.uniqueList.push(log);
+            group.totalCount += count;
+            group.typeCounts[getTypeCountKey(log.type)]++;
+            group.categories[log.category] = (group.categories[log.category] ?? 0) + count;
+        }
+    }
+
+    // Known values alphabetically, then the logs which could not be placed
+    const ordered = {};
+    const values = Object.keys(groups).sort((a, b) => ((a === "unknown") - (b === "unknown")) || a.localeCompare(b));
+    for(const value of values){
+        ordered[value] = groups[value];
+    }
+    return ordered;
+}
+
+/**
+ * @function getProcessRole
+ * @description Works out whether a file was written by the server or a client, from the roles in the options, its command line or its name
+ * 
+ * @param {string} fileName 
+ * @param {LogMetadata} [metadata] 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {string} "server", "client" or "unknown"
+ */
+function getProcessRole(fileName, metadata, options){
+    options = resolveOptions(options);
+    const configured = options.timeline?.roles?.[fileName] ?? options.timeline?.roles?.[path.basename(fileName)];
+    if(configured !== undefined){
+        if(!processRoles.includes(configured)) throw new Error(`The role of ${fileName} should be one of ${processRoles.join(", ")}, but is ${configured}`);
+        return configured;
+    }
+
+    const commandLine = metadata?.commandLine ?? "";
+    const baseName = path.basename(fileName);
+    if(serverCommandLineRegex.test(commandLine) || /server/i.test(baseName)) return "server";
+    // Any other game with a command line is taken to be a client
+    if(/client/i.test(baseName) || commandLine !== "") return "client";
+    return "unknown";
+}
+
+/**
+ * @function parseClockOffset
+ * @description Reads a clock offset in milliseconds, or seconds when it ends in "s"
+ * 
+ * @param {number|string} value 
+ * 
+ * @returns {number} Milliseconds to add to the timestamps of the file
+ */
+function parseClockOffset(value){
+    if(typeof(value) === "number" && isFinite(value)) return value;
+
+    const match = String(value).trim().match(clockOffsetRegex);
+    if(!match) throw new Error(`Expected a clock offset like 250, -250ms or +1.5s but got ${value}`);
+    const offset = parseFloat(match.groups.value);
+    return match.groups.unit?.toLowerCase() === "s" ? offset * 1000 : offset;
+}
+
+/**
+ * @function getTimelineFiles
+ * @description Lists the files of a log info in the order they were parsed, with the unique logs holding their occurrences
+ * 
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {{files: Array.<string>, logLists: Array.<Array.<LogObject>>}}
+ */
+function getTimelineFiles(logData, options){
+    options = resolveOptions(options);
+    if(options.textParsing.consolidate){
+        return { files: Object.keys(logData.fileMetadata ?? {}), logLists: [logData.uniqueList] };
+    }
+    return { files: logData.dataList.map(info => info.sourceFile), logLists: logData.dataList.map(info => info.uniqueList) };
+}
+
+/**
+ * @function buildTimeline
+ * @description Interleaves the occurrences of every displayed log from all files by when they were printed, like one log of the whole session
+ * 
+ * Each file's timestamps are corrected by its offset in timeline.clockOffsets, for machines whose clocks disagree. Occurrences 
+ * are only kept up to textParsing.maxSiblings per unique log, so set it high enough to keep the whole session.
+ * 
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Timeline}
+ */
+function buildTimeline(logData, options){
+    options = resolveOptions(options);
+    const { files, logLists } = getTimelineFiles(logData, options);
+
+    const processes = files.map(file => ({
+        file,
+        role: getProcessRole(file, logData.fileMetadata?.[file], options),
+        clockOffset: parseClockOffset(options.timeline?.clockOffsets?.[file] ?? options.timeline?.clockOffsets?.[path.basename(file)] ?? 0),
+        entryCount: 0
+    }));
+    const processIndex = new Map(processes.map((processInfo, index) => [processInfo.file, index]));
+
+    const entries = [];
+    let untimedCount = 0;
+    let droppedCount = 0;
+    for(const logList of logLists){
+        for(const unfilteredLog of logList){
+            const log = filterLogByRange(unfilteredLog, options);
+            if(!log || filterLog(log, options)) continue;
+
+            const occurrences = getOccurrences(log);
+            droppedCount += log.count - occurrences.length;
+            for(const occurrence of occurrences){
+                const index = processIndex.get(occurrence.file);
+                if(!occurrence.timestamp || index === undefined){
+                    untimedCount++;
+                    continue;
+                }
+
+                const processInfo = processes[index];
+                processInfo.entryCount++;
+                entries.push({
+                    timestamp: new Date(occurrence.timestamp.getTime() + processInfo.clockOffset),
+                    frame: occurrence.frame,
+                    file: processInfo.file,
+                    role: processInfo.role,
+                    logText: occurrence.logText,
+                    log: unfilteredLog,
+                    processIndex: index,
+                    sequence: occurrence.sequence ?? 0
+                });
+            }
+        }
+    }
+
+    // Ties keep the order of the files, then the order within the file
+    entries.sort((a, b) => (a.timestamp - b.timestamp) || (a.processIndex - b.processIndex) || (a.sequence - b.sequence));
+    for(const entry of entries){
+        delete entry.processIndex;
+        delete entry.sequence;
+    }
+    return { processes, entries, untimedCount, droppedCount };
+}
+
+/**
+ * @function compareProcessRoles
+ * @description Splits the displayed warnings and errors into those only the server printed, those only clients printed, and those both printed
+ * 
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {RoleComparison} Each list has the most frequent logs first, logs from files of unknown role are left out
+ */
+function compareProcessRoles(logData, options){
+    options = resolveOptions(options);
+    const { files, logLists } = getTimelineFiles(logData, options);
+    const roles = new Map(files.map(file => [file, getProcessRole(file, logData.fileMetadata?.[file], options)]));
+    const warningSeverity = getSeverity("Warning");
+
+    // Per file logs are matched up by fingerprint, so a log is counted once however many files printed it
+    const byFingerprint = new Map();
+    for(const logList of logLists){
+        for(const unfilteredLog of logList){
+            const log = filterLogByRange(unfilteredLog, options);
+            if(!log || filterLog(log, options)) continue;
+            const severity = getSeverity(log.type);
+            if(severity === undefined || severity > warningSeverity) continue;
+
+            if(!byFingerprint.has(log.fingerprint)) byFingerprint.set(log.fingerprint, { log: unfilteredLog, serverCount: 0, clientCount: 0 });
+            const counts = byFingerprint.get(log.fingerprint);
+            for(const [file, count] of Object.entries(log.files ?? {})){
+                if(roles.get(file) === "server") counts.serverCount += count;
+                else if(roles.get(file) === "client") counts.clientCount += count;
+            }
+        }
+    }
+
+    const comparison = { serverOnly: [], clientOnly: [], both: [] };
+    for(const counts of byFingerprint.values()){
+        if(counts.serverCount > 0 && counts.clientCount > 0) comparison.both.push(counts);
+        else if(counts.serverCount > 0) comparison.serverOnly.push(counts);
+        else if(counts.clientCount > 0) comparison.clientOnly.push(counts);
+    }
+    for(const list of Object.values(comparison)){
+        list.sort((a, b) => ((b.serverCount + b.clientCount) - (a.serverCount + a.clientCount)) || a.log.fingerprint.localeCompare(b.log.fingerprint));
+    }
+    return comparison;
+}
+
+/**
+ * @function parseSuppressions
+ * @description Validates the entries of a suppressions file, a JSON array of objects with a message or fingerprint, an optional category, a reason and an optional expiry date
+ * 
+ * @param {string|Array.<Object>} input Contents of the suppressions file, or the entries already parsed
+ * @param {string} [fileName] Name of the suppressions file, used in error messages
+ * 
+ * @returns {Array.<Suppression>}
+ */
+function parseSuppressions(input, fileName = "suppressions"){
+    let entries;
+    try{
+        entries = typeof(input) === "string" ? JSON.parse(input) : input;
+    }
+    catch(err){
+        throw new Error(`${fileName} could not be parsed: ${err.message}`);
+    }
+    if(!Array.isArray(entries)){
+        throw new Error(`${fileName} should contain an array of suppressions`);
+    }
+
+    return entries.map((entry, index) => {
+        const describe = `Suppression ${index + 1} of ${fileName}`;
+        if(!entry || typeof(entry) !== "object"){
+            throw new Error(`${describe} should be an object`);
+        }
+        if(!entry.message && !entry.fingerprint){
+            throw new Error(`${describe} needs a message or fingerprint`);
+        }
+        if(typeof(entry.reason) !== "string" || entry.reason.trim() === ""){
+            throw new Error(`${describe} needs a reason`);
+        }
+
+        let expires;
+        if(entry.expires){
+            expires = new Date(expiryDateRegex.test(entry.expires) ? `${entry.expires}T23:59:59.999Z` : entry.expires);
+            if(isNaN(expires.getTime())){
+                throw new Error(`${describe} has an invalid expiry date: ${entry.expires}`);
+            }
+        }
+
+        let messageRegex;
+        try{
+            messageRegex = entry.message ? getMessageRegex(entry.message) : null;
+        }
+        catch(err){
+            throw new Error(`${describe} has an invalid message pattern: ${err.message}`);
+        }
+        const categoryRegex = entry.category ? getCategoryRegex(entry.category) : null;
+
+        return {
+            message: entry.message,
+            fingerprint: entry.fingerprint,
+            category: entry.category,
+            reason: entry.reason.trim(),
+            expires,
+            index,
+            matches: (log) => {
+                if(categoryRegex && (log.category === undefined || !categoryRegex.test(log.category))) return false;
+                if(entry.fingerprint && log.fingerprint !== entry.fingerprint) return false;
+                return !messageRegex || messageRegex.test(log.message ?? log.logText);
+            }
+        };
+    });
+}
+
+/**
+ * @function getSuppressions
+ * @description Gets the suppressions from the options, loading the suppressions file if one is set
+ * 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Array.<Suppression>|null} Null if no suppressions are configured
+ */
+function getSuppressions(options){
+    options = resolveOptions(options);
+    const suppressions = options.suppressions ?? {};
+    if(Array.isArray(suppressions.entries)) return suppressions.entries;
+    if(!suppressions.file) return null;
+
+    suppressions.entries = parseSuppressions(fs.readFileSync(suppressions.file, "utf-8"), suppressions.file);
+    return suppressions.entries;
+}
+
+/**
+ * @function isSuppressionExpired
+ * 
+ * @param {Suppression} suppression 
+ * @param {Date} [now] 
+ * 
+ * @returns {boolean}
+ */
+function isSuppressionExpired(suppression, now = new Date()){
+    return suppression.expires !== undefined && suppression.expires < now;
+}
+
+/**
+ * @function getLogSuppression
+ * @description Finds the first suppression which hides a log, expired suppressions are skipped so the log shows up again
+ * 
+ * @param {LogObject} log 
+ * @param {Array.<Suppression>|null} suppressions 
+ * @param {Date} [now] 
+ * 
+ * @returns {Suppression|undefined}
+ */
+function getLogSuppression(log, suppressions, now = new Date()){
+    if(!suppressions) return undefined;
+    return suppressions.find(suppression => !isSuppressionExpired(suppression, now) && suppression.matches(log));
+}
+
+/**
+ * @function getSuppressionReport
+ * @description Counts what each suppression matched, so expired and stale suppressions can be cleaned up
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {ParserOptions} [options] 
+ * @param {Date} [now] 
+ * 
+ * @returns {Array.<SuppressionResult>} Empty if no suppressions are configured
+ */
+function getSuppressionReport(uniqueList, options, now = new Date()){
+    const suppressions = getSuppressions(options);
+    if(!suppressions) return [];
+
+    const results = suppressions.map(suppression => ({
+        suppression,
+        expired: isSuppressionExpired(suppression, now),
+        uniqueCount: 0,
+        occurrenceCount: 0,
+        suppressedCount: 0,
+        stale: true
+    }));
+
+    for(const log of uniqueList){
+        let suppressed = false;
+        for(const result of results){
+            if(!result.suppression.matches(log)) continue;
+            result.uniqueCount++;
+            result.occurrenceCount += log.count;
+            result.stale = false;
+
+            if(!suppressed && !result.expired){
+                result.suppressedCount += log.count;
+                suppressed = true;
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * @function checkBudgets
+ * @description Checks the logs against the budgets in the options, suppressed logs do not count towards any budget
+ * 
+ * Budgets are maxErrors, occurrences of errors and fatal errors, maxWarningsPerCategory, occurrences of warnings 
+ * in each category pattern, maxUniquePerType, unique logs of each type, and noNewFatal, which allows no fatal errors 
+ * or ensures missing from the baseline, or none at all when there is no baseline.
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {ParserOptions} [options] 
+ * @param {Array.<BaselineEntry>} [baselineEntries] Logs from a previous run, used by noNewFatal
  * 
- * @returns {LogInfo}
+ * @returns {Array.<BudgetViolation>|null} Null if no budgets are set
  */
-function processParsedLog(matchArray, fileName){
-    // Initialize the "pointer" of loginfo
-    let logInfo;
-    if(settings.textParsing.consolidate){
-        logInfo = logData;
-        logInfo.totalCount += matchArray.length;
-    }
-    else{
-        logInfo = {
-            totalCount: matchArray.length,
-            uniqueList: [],
-            categories: {
-                general: 0
-            },
-            typeCounts: {
-                general: 0,
-                verbose: 0,
-                warnings: 0,
-                errors: 0
-            }
-        };
+function checkBudgets(uniqueList, options, baselineEntries){
+    options = resolveOptions(options);
+    const budgets = options.budgets ?? {};
+    const categoryBudgets = Object.entries(budgets.maxWarningsPerCategory ?? {});
+    const typeBudgets = Object.entries(budgets.maxUniquePerType ?? {});
+    const isSet = (limit) => typeof(limit) === "number";
+    if(!isSet(budgets.maxErrors) && categoryBudgets.length === 0 && typeBudgets.length === 0 && !budgets.noNewFatal){
+        return null;
     }
-    
-    // Process each match individually
-    for(let i = 0; i < matchArray.length; i++){
-        const info = matchArray[i];
 
-        const firstIndex = logInfo.uniqueList.findIndex((data) => data.logText.replace(/\[[^\[\]]*\]\[[^\[\]]*\]\s*(?=Log)/,"") === info.logText);
-        if(firstIndex === -1){
-            logInfo.uniqueList.push(info);
-        }
-        else{
-            logInfo.uniqueList[firstIndex].count++;
-            logInfo.uniqueList[firstIndex]?.siblings?.push(info.logText);
+    const suppressions = getSuppressions(options);
+    const logs = uniqueList.filter(log => !getLogSuppression(log, suppressions)).sort((a, b) => b.count - a.count);
+    const violations = [];
+    const check = (budget, target, limit, counted, countOccurrences) => {
+        const actual = countOccurrences ? counted.reduce((total, log) => total + log.count, 0) : counted.length;
+        if(actual > limit){
+            violations.push({ budget, target, limit, actual, logs: counted });
         }
+    };
 
-        if(Object.keys(logInfo.categories).includes(info.category)){
-            logInfo.categories[info.category]++;
-        }
-        else if(info.category){
-            logInfo.categories[info.category] = 1;
-        }
-        else{
-            logInfo.general++;
-        }
+    if(isSet(budgets.maxErrors)){
+        check("maxErrors", undefined, budgets.maxErrors, logs.filter(log => getSeverity(log.type) <= getSeverity("Error")), true);
+    }
 
-        // Run validation checks
-        if(info.type && info.type.match(/^[\w\s]*$/) === null){
-            logger.error(`Invalid type of ${info.type} on log \n ${info.logText} \n`);
-            logger.log(info);
-        }
+    for(const [category, limit] of categoryBudgets){
+        const regex = getCategoryRegex(category);
+        check("maxWarningsPerCategory", category, limit, logs.filter(log => log.type === "Warning" && log.category !== undefined && regex.test(log.category)), true);
     }
 
-    for(const info of logInfo.uniqueList){
-        if(info.type === "Error"){
-            logInfo.typeCounts.errors++;
-        }
-        else if(info.type === "Warning"){
-            logInfo.typeCounts.warnings++;
-        }
-        else if(info.type){
-            const modifiedType = info.type.trim().toLowerCase();
-            if(Object.keys(logInfo.typeCounts).includes(modifiedType)) {
-                logInfo.typeCounts[modifiedType]++;
-            }
-            else{
-                logInfo.typeCounts[modifiedType] = 1;
-            }
+    for(const [name, limit] of typeBudgets){
+        const type = getVerbosity(name);
+        if(!type){
+            throw new Error(`Unknown type ${name} in maxUniquePerType, expected one of ${verbosityLevels.join(", ")}`);
         }
+        check("maxUniquePerType", type, limit, logs.filter(log => log.type === type), false);
     }
 
-    // Run data validation
-    if(logInfo.uniqueList.length != Object.values(logInfo.typeCounts).reduce((aggr, next) => aggr+next, 0)) logger.warn("type counts do not total ");
-
-    if(!settings.textParsing.consolidate){
-        logData.dataList.push(logInfo);
-        if(fileName) logInfo.sourceFile = fileName;
+    if(budgets.noNewFatal){
+        const known = new Set((baselineEntries ?? []).map(entry => entry.fingerprint));
+        check("noNewFatal", undefined, 0, logs.filter(log => (log.type === "Fatal" || log.entryKind) && !known.has(log.fingerprint ?? log.logText)), false);
     }
-    return logInfo;
+    return violations;
 }
 
 /**
+ * @function finishLogData
+ * @description Sorts freshly parsed logs and assigns their owners
  * 
- * @param {Array<LogObject>} uniqueList
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
  * 
- * @returns {void}
+ * @returns {LogInfo}
  */
-function sortLogsByCount(uniqueList){
-    /** Takes element at right index as pivot and places the pivot in its sorted position */
-    const partition = (list, start, end, comparer = (a,b) => a <= b) => {
-        const pivot = list[end];
-        let pIndex = start;
-        
-        for(let idx = start; idx < end; idx++){
-            if(comparer(list[idx],pivot)){    
-                [list[idx], list[pIndex]] = [list[pIndex], list[idx]];
-                pIndex++;
-            }
-        }
+function finishLogData(logData, options){
+    options = resolveOptions(options);
+    sortLogInfo(logData, options);
 
-        [list[pIndex], list[end]] = [list[end], list[pIndex]];
-        return pIndex;
-    } 
-    
-    /** Calculates the partition index and recursively sorts to the left and right of it */
-    const quickSort = (list, start, end, comparer = (a,b) => a <= b) => {
-        if(start >= end){
-            return;
+    const rules = getOwnershipRules(options);
+    if(rules){
+        for(const info of options.textParsing.consolidate ? [logData] : logData.dataList){
+            assignOwners(info.uniqueList, rules);
         }
-
-        let pivotIndex = partition(list, start, end, comparer);
-        quickSort(list, start, pivotIndex - 1);
-        quickSort(list, pivotIndex + 1, end);
     }
+    return logData;
+}
 
-    // For whatever reason, JS refuses to properly compare object keys, so group up log objects by count
-    const numberArray = [];
-    const countMap = {};
-    for(const log of uniqueList){
-        if(!numberArray.includes(log.count)){
-            numberArray.push(log.count);
-            countMap[log.count] = [log];
-        }
-        else{
-            countMap[log.count].push(log);
+/**
+ * @function sortLogInfo
+ * @description Sorts the unique list of the consolidated log info, or of each per file log info
+ * 
+ * @param {LogInfo} logData 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {LogInfo}
+ */
+function sortLogInfo(logData, options){
+    options = resolveOptions(options);
+    if(options.textParsing.consolidate){
+        logData.uniqueList = sortLogsByCount(logData.uniqueList, options);
+    }
+    else{
+        for(const data of logData.dataList){
+            data.uniqueList = sortLogsByCount(data.uniqueList, options);
         }
     }
+    return logData;
+}
 
-    let debugString = uniqueList.map(item => item.count).reduce((aggr,item) => aggr +","+item);
-    logger.debug(debugString);
-    logger.empty();
-    
-    // Sort on the array of counts observed, then replace the counts with the arrays of log objects which have those counts
-    quickSort(numberArray, 0, numberArray.length - 1);
-    let newArray = [];
-    for(const count of numberArray){
-        newArray = newArray.concat(countMap[count]);
-    }
-    
-    debugString = uniqueList.map(item => item.count).reduce((aggr,item) => aggr +","+item);
-    logger.debug(debugString + "\n");
+/**
+ * @function parseLogText
+ * @description Parses the text of a single log into a new, sorted log info
+ * 
+ * @param {string} text 
+ * @param {ParserOptions} [options] 
+ * @param {string} [fileName] Name recorded as the source of the logs
+ * 
+ * @returns {LogInfo}
+ */
+function parseLogText(text, options, fileName){
+    options = resolveOptions(options);
+    const logData = createLogInfo();
+    parseText(text, fileName, options, logData);
+    return finishLogData(logData, options);
+}
 
-    // Run validation
-    let counter = 0;
-    for(let vidx = 0; vidx < uniqueList.length -1; vidx++){
-        if(uniqueList[vidx].count > uniqueList[vidx + 1].count){
-            counter++;
-            // logger.warn(`Log ${uniqueList[vidx].message} (${uniqueList[vidx].count}) was marked greater than ${uniqueList[vidx + 1].message} (${uniqueList[vidx + 1].count})`);
+/**
+ * @function parseLogFiles
+ * @description Loads and parses a set of log files, gzipped logs and zip archives of logs into a new, sorted log info
+ * 
+ * @param {Array.<string>} filePaths 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {LogInfo}
+ */
+function parseLogFiles(filePaths, options){
+    options = resolveOptions(options);
+    const logger = options.logger;
+    const logData = createLogInfo();
+
+    logger.header("Loading files", true);
+    for(const source of getLogSources(filePaths, options, logData.failedSources)){
+        logger.log(`Loading File ${source.path}...`);
+        let text;
+        try{
+            text = readLogSource(source);
         }
-    }
-    if(counter > 0){
-        // JS is fucking stupid and the only way it sorts correctly in the main execution is if it doesn't here
-        // logger.warn(`List was sorted with approximately ${counter} elements out of place`);
-    }
-    else{
-        logger.log("Unique List was sorted successfully");
+        catch(err){
+            addFailedSource(logData.failedSources, source.path, `Failed to read ${source.path}: ${err.message}`, logger);
+            continue;
+        }
+        parseText(text, source.name, options, logData);
     }
 
-    return newArray;
+    return finishLogData(logData, options);
 }
 
 /**
+ * @function streamLogFiles
+ * @description Streams and parses a set of log files, gzipped logs and zip archives of logs into a new, sorted log info without loading whole files into memory
  * 
- * @param {Object} logInfo 
+ * @param {Array.<string>} filePaths 
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {Promise.<LogInfo>}
  */
-function getParseSummary(logInfo){
-    logger.log(`${logInfo.uniqueList.length} unique entries ranging from counts of ${logInfo.uniqueList.reduce((prev, next) => next.count >= prev.count ? next : prev).count} to ${logInfo.uniqueList.reduce((prev, next) => next.count <= prev.count ? next : prev).count}`);
-    logger.empty();
+async function streamLogFiles(filePaths, options){
+    options = resolveOptions(options);
+    const logger = options.logger;
+    const logData = createLogInfo();
 
-    for(const type of Object.keys(logInfo.typeCounts)){
-        let printFunction = logger.log;
-        printFunction(`${logInfo.typeCounts[type]} ${type}`);
+    const sources = getLogSources(filePaths, options, logData.failedSources);
+    const workerCount = getWorkerCount(options, sources.length);
+    if(workerCount > 1){
+        logger.debug(`Parsing ${sources.length} files in ${workerCount} workers`);
+        await parseSourcesInWorkers(sources, options, logData, workerCount);
+        return finishLogData(logData, options);
     }
 
-    logger.empty();    
-    for(const category of Object.entries(logInfo.categories)){
-        logger.log(`${category[0]} was logged to ${category[1]} times`);
+    for(let fileIndex = 0; fileIndex < sources.length; fileIndex++){
+        const source = sources[fileIndex];
+        const progress = {
+            fileName: source.name,
+            fileIndex,
+            fileCount: sources.length,
+            bytesRead: 0,
+            totalBytes: source.size,
+            done: false
+        };
+
+        let stream;
+        try{
+            stream = openLogSource(source, options.onProgress ? (bytes) => {
+                progress.bytesRead += bytes;
+                options.onProgress(progress);
+            } : undefined);
+        }
+        catch(err){
+            addFailedSource(logData.failedSources, source.path, `Failed to read ${source.path}: ${err.message}`, logger);
+            continue;
+        }
+
+        await parseStream(stream, progress.fileName, options, logData);
+
+        progress.done = true;
+        options.onProgress?.(progress);
     }
+
+    return finishLogData(logData, options);
 }
 
 /**
+ * @function getWorkerCount
+ * @description Works out how many worker threads to parse a set of files in, from textParsing.workers
+ * 
+ * @param {ParserOptions} options 
+ * @param {number} fileCount 
  * 
- * @param {Array.<string>} fileNames  
+ * @returns {number} 1 or less when the files should be parsed on the calling thread
  */
-function loadText(fileNames){
-    logger.header("Loading files", true);
-    
-    for(const fileName of fileNames){ 
-        const path = getPathToFile(fileName);
-
-        // Load text from file path
-        logger.log(`Loading File ${path}...`);
-        textContent[fileName] = fs.readFileSync(path, "utf-8");
+function getWorkerCount(options, fileCount){
+    const workers = options.textParsing.workers;
+    const requested = workers === "auto" ? (os.availableParallelism?.() ?? os.cpus().length) : Number(workers);
+    if(!Number.isInteger(requested) || requested < 0){
+        throw new Error(`textParsing.workers should be a number of workers or "auto", but is ${workers}`);
     }
+    return Math.min(requested, fileCount);
 }
 
-function getPathToFile(fileName){
-    if(settings.textLoading.directory === "local"){
-        return __dirname + "\\" + fileName;
-    }
-    else if(settings.textLoading.directory === "folder"){
-        return pathToFolder + "\\" + fileName;
-    }
+/**
+ * @function getWorkerOptions
+ * @description Copies the options a worker needs to parse a file, leaving out the functions which can not be sent to it
+ * 
+ * Ownership and suppressions are applied once the results are merged, so the rules and entries are not sent.
+ * 
+ * @param {ParserOptions} options 
+ * 
+ * @returns {ParserOptions}
+ */
+function getWorkerOptions(options){
+    const { logger, onProgress, ...sendable } = options;
+    return JSON.parse(JSON.stringify({
+        ...sendable,
+        ownership: { ...sendable.ownership, rules: null },
+        suppressions: { ...sendable.suppressions, entries: null },
+        textParsing: { ...sendable.textParsing, consolidate: false, workers: 0 }
+    }));
 }
 
 /**
+ * @function mergeFileLogInfo
+ * @description Adds the log info of one file, parsed on its own, to a log info as if its logs had been added one by one with addParsedLog
  * 
- * @param {LogObject} log 
+ * Merging the files in the order they would have been parsed gives the same unique logs, counts, siblings and 
+ * categories as parsing them one after another.
+ * 
+ * @param {LogInfo} logData Log info the results are consolidated into, or whose dataList receives the per file results
+ * @param {LogInfo} fileInfo The file's log info, with its unique logs in the order they first appeared
+ * @param {ParserOptions} [options] 
+ * 
+ * @returns {LogInfo}
  */
-function filterLog(log){
-    // Filter type
-    if(!settings.display.filters.type.ignore){
-        if(log.type === undefined && !settings.display.filters.type.allowUndefined){
-            return true;
-        }
-        if(!settings.display.filters.type.whitelist.includes(log.type)
-            || settings.display.filters.type.blacklist.includes(log.type)){
-            return true;
-        }
+function mergeFileLogInfo(logData, fileInfo, options){
+    options = resolveOptions(options);
+    if(fileInfo.sourceFile){
+        if(!logData.fileMetadata) logData.fileMetadata = {};
+        logData.fileMetadata[fileInfo.sourceFile] = fileInfo.metadata ?? {};
+    }
+    if(!options.textParsing.consolidate){
+        logData.dataList.push(fileInfo);
+        return logData;
     }
 
-    // Filter Category
-    if(!settings.display.filters.category.ignore){
-        if(log.category === undefined && !settings.display.filters.category.allowUndefined){
-            return true;
+    const maxSiblings = options.textParsing.maxSiblings;
+    const maxVariants = options.textParsing.fingerprint?.maxVariants ?? 5;
+    const uniqueIndex = getUniqueIndex(logData);
+    logData.totalCount += fileInfo.totalCount;
+
+    for(const log of fileInfo.uniqueList){
+        const original = uniqueIndex.get(log.fingerprint);
+        if(original === undefined){
+            logData.uniqueList.push(log);
+            uniqueIndex.set(log.fingerprint, log);
+            continue;
         }
-        if(!settings.display.filters.category.whitelist.includes(log.category)
-            || settings.display.filters.category.blacklist.includes(log.category)){
-            return true;
+
+        original.count += log.count;
+        for(const occurrence of getOccurrences(log)){
+            if(typeof(maxSiblings) === "number" && original.siblings.length >= maxSiblings) break;
+            original.siblings.push(occurrence);
+        }
+        updateSeenRange(original, log.firstSeen, log.firstFrame);
+        updateSeenRange(original, log.lastSeen, log.lastFrame);
+        for(const [key, counts] of [["phases", log.phases], ["files", log.files]]){
+            for(const [name, count] of Object.entries(counts ?? {})){
+                if(!original[key]) original[key] = {};
+                original[key][name] = (original[key][name] ?? 0) + count;
+            }
+        }
+
+        // The file's variants are already distinct and in the order they appeared, so they merge like single logs
+        for(const variant of log.variants){
+            if(original.variants.length < maxVariants && !original.variants.includes(variant)) original.variants.push(variant);
         }
+        mergeFingerprintDetails(original, log, options);
     }
 
-    // Default to displaying the log
-    return false;
-}
+    for(const [category, count] of Object.entries(fileInfo.categories)){
+        if(count > 0) logData.categories[category] = (logData.categories[category] ?? 0) + count;
+    }
+    logData.general += fileInfo.general ?? 0;
 
-/**
- * 
- * @param {LogObject} log 
- * @returns {string}
- */
-function getLogDisplayString(log){
-    return `${log.message}
-    Count: ${log.count}
-    Type: ${log.type}
-    Category: ${log.category}
-    Original: ${log.logText} 
-`;
+    updateTypeCounts(logData);
+    return logData;
 }
 
 /**
+ * @function parseSourcesInWorkers
+ * @description Parses each log in a pool of worker threads, merging the results in the order of the sources so they match a single threaded parse
  * 
- * @param {Array.<LogObject>} logList
+ * Each worker loads its own line parsers, so parsers added with registerLineParser rather than textParsing.parserModules 
+ * are not available to it. What the workers log is passed on to the logger a file at a time, in the order of the sources.
  * 
- * @returns {LogInfo} 
+ * @param {Array.<LogSource>} sources 
+ * @param {ParserOptions} options 
+ * @param {LogInfo} logData Log info the results are consolidated into, or whose dataList receives the per file results
+ * @param {number} workerCount 
+ * 
+ * @returns {Promise.<LogInfo>}
  */
-function filterLogList(logList){
-    /** @type {LogInfo} */
-    let newInfo = {
-        totalCount: 0,
-        uniqueList: [],
-        categories: {},
-        typeCounts: {
-            errors: 0,
-            warnings: 0,
-            verbose: 0, 
-            general: 0      
-        }
-    };
+function parseSourcesInWorkers(sources, options, logData, workerCount){
+    const logger = options.logger;
+    const workerOptions = getWorkerOptions(options);
 
-    for(const log of logList){
-        if(!filterLog(log)){
-            newInfo.uniqueList.push(log);
-            newInfo.totalCount += log.count;
-            
-            // Update type counts
-            if(log.type === "Error"){
-                newInfo.typeCounts.errors++;
-            }
-            else if(log.type === "Warning"){
-                newInfo.typeCounts.warnings++;
-            }
-            else if(log.type){
-                const modifiedType = log.type.trim().toLowerCase();
-                if(Object.keys(logInfo.typeCounts).includes(modifiedType)) {
-                    logInfo.typeCounts[modifiedType] += log.count;
+    return new Promise((resolve, reject) => {
+        const workers = [];
+        const results = new Array(sources.length);
+        let nextIndex = 0;
+        let mergedCount = 0;
+        let finished = false;
+
+        const finish = (err) => {
+            if(finished) return;
+            finished = true;
+            for(const worker of workers) worker.terminate();
+            if(err) reject(err);
+            else resolve(logData);
+        };
+
+        /** Merges every result which no earlier file is still being parsed before */
+        const mergeReady = () => {
+            while(mergedCount < sources.length && results[mergedCount]){
+                const result = results[mergedCount];
+                results[mergedCount] = null;
+                for(const entry of result.logs) logger[entry.method]?.(...entry.args);
+                if(result.error){
+                    addFailedSource(logData.failedSources, sources[mergedCount].path, `Failed to read ${sources[mergedCount].path}: ${result.error}`, logger);
                 }
                 else{
-                    logInfo.typeCounts[modifiedType] = log.count;
+                    mergeFileLogInfo(logData, result.fileInfo, options);
                 }
+                // A log the worker could only read in part was already reported with the rest of its logs
+                logData.failedSources.push(...(result.failedSources ?? []));
+                mergedCount++;
             }
-            
-            // Update category counts
-            if(newInfo.categories[log.category]) newInfo.categories[log.category] += log.count;
-            else newInfo.categories[log.category] = log.count;
-        }
-    }
+            if(mergedCount === sources.length) finish();
+        };
 
-    return newInfo;
+        const startWorker = () => {
+            const worker = new Worker(workerPath, { workerData: { options: workerOptions } });
+            workers.push(worker);
+
+            let progress = null;
+            const runNext = () => {
+                if(nextIndex >= sources.length) return;
+                const index = nextIndex++;
+                progress = { fileName: sources[index].name, fileIndex: index, fileCount: sources.length, bytesRead: 0, totalBytes: sources[index].size, done: false };
+                worker.postMessage({ index, source: sources[index] });
+            };
+
+            worker.on("message", (message) => {
+                if(message.kind === "progress"){
+                    progress.bytesRead += message.bytes;
+                    options.onProgress?.(progress);
+                    return;
+                }
+
+                progress.done = true;
+                options.onProgress?.(progress);
+                results[message.index] = message;
+                runNext();
+                mergeReady();
+            });
+            worker.on("error", (err) => finish(err));
+            worker.on("exit", (code) => {
+                if(code !== 0) finish(new Error(`A parsing worker stopped with exit code ${code}`));
+            });
+            runNext();
+        };
+
+        for(let i = 0; i < workerCount; i++){
+            startWorker();
+        }
+    });
 }
 
 /**
+ * @function followLogFile
+ * @description Tails a log which is still being written, like the editor log during a PIE session, handling the file being truncated or replaced
+ * 
+ * @param {string} filePath 
+ * @param {ParserOptions} [options] 
+ * @param {Object} [listeners] 
+ * @param {function(Array.<FollowUpdate>, LogInfo):void} [listeners.onEntries] Called with each batch of logs read
+ * @param {function(string):void} [listeners.onReset] Called when the file is truncated or replaced and is read again from the start
  * 
+ * @returns {LogFollower}
  */
-function run(fileList){
-    if(!fileList || fileList.length == 0){
-        logger.warn("No files found");
-        return;
-    }
+function followLogFile(filePath, options, listeners = {}){
+    options = resolveOptions({ ...options, textParsing: { ...options?.textParsing, consolidate: true } });
+    const logger = options.logger;
+    const logData = createLogInfo();
+    logData.sourceFile = path.basename(filePath);
+    logData.fileMetadata[logData.sourceFile] = {};
 
-    // Scrape files for strings
-    loadText(fileList, settings.textLoading);
-    logger.empty();
+    let position = 0;
+    let fileId = null;
+    let partialLine = "";
+    let decoder = new StringDecoder("utf8");
+    let assembler = null;
+    let lastReadTime = 0;
+    let settled = true;
+    const settleTime = options.watch?.settleTime ?? 2000;
 
-    // Parse each file
-    for(const fileName of fileList){
-        if(fs.existsSync(getPathToFile(fileName))){
-            parseText(textContent[fileName], fileName);
-        }else{
-            logger.error(`Path to file ${fileName} could not be found`);
+    /** Adds the finished entries to the log info and reports them */
+    const publish = (entries) => {
+        for(const entry of entries){
+            finishMetadata(updateMetadata(logData.fileMetadata[logData.sourceFile], entry));
         }
-    }
+        entries = entries.filter(entry => !isMetadataLog(entry));
+        if(entries.length === 0) return;
 
-    // Sort unique list by count
-    if(settings.textParsing.consolidate){
-        logData.uniqueList = sortLogsByCount(logData.uniqueList);
-    }
-    else{
-        for(const data of logData.dataList){
-            data.uniqueList = sortLogsByCount(data.uniqueList);
-        }
-    }
+        const updates = entries.map(entry => {
+            const log = addParsedLog(logData, entry, options, logData.sourceFile);
+            return { log, entry, isNew: log === entry };
+        });
+        updateTypeCounts(logData);
+        listeners.onEntries?.(updates, logData);
+    };
 
-    logger.empty();
-    logger.log("Processing finished.");
-    logger.empty();
+    /** Finishes the entry being assembled, including a last line which was never terminated, like a crash cut short */
+    const flushAll = () => {
+        const lastLine = partialLine + decoder.end();
+        partialLine = "";
+        if(lastLine !== "") readText(lastLine + "\n");
 
-    if(settings.textParsing.consolidate){
-        const data = filterLogList(logData.uniqueList);
-        logger.header(`Log Data`, true);
+        const pending = assembler?.flush();
+        if(pending) publish([pending]);
+    };
 
-        logger.log(`Log Count: ${data.totalCount}`);
-        logger.log(`Unique Log Count: ${data.uniqueList.length}`);
-        
-        logger.header("Log Types", true);
-        const typeEntries = Object.entries(data.typeCounts).map((value, index) => `${value[0]}: ${value[1]}`);
-        if(typeEntries.length > 0){
-            const typeString = typeEntries.reduce((aggr, current, index, array) => aggr + ", " + current)
-            logger.log(typeString);
+    /** Starts reading the file from the beginning, keeping what has been counted so far */
+    const reset = (reason) => {
+        flushAll();
+
+        position = 0;
+        decoder = new StringDecoder("utf8");
+        assembler = null;
+        listeners.onReset?.(reason);
+    };
+
+    /** Passes the complete lines of some newly read text to the assembler, keeping any partial line for the next read */
+    const readText = (text) => {
+        const lines = (partialLine + text).split(/\r\n|[\r\n]/);
+        partialLine = lines.pop();
+
+        // The format is detected from the first lines read, and again if the file is replaced
+        if(!assembler){
+            if(lines.length === 0) return;
+            assembler = createEntryAssembler(options, detectLineParser(lines.slice(0, detectionLineCount), options));
         }
 
-        logger.header("Log Categories", true);
-        const categoryEntries = Object.entries(data.categories).filter(category => settings.display.filters.category.ignore || (settings.display.filters.category.whitelist.includes(category) && !settings.display.filters.category.blacklist.includes(category)) ).map((value, index) => `${value[0]}: ${value[1]}`);
-        if(categoryEntries.length > 0){
-            const categoryString = categoryEntries.reduce((aggr, current, index, array) => aggr + ", " + current)
-            logger.log(categoryString);
+        const entries = [];
+        for(const line of lines){
+            const entry = assembler.push(line);
+            if(entry) entries.push(entry);
         }
+        publish(entries);
+    };
 
-        logger.header("Log List", true, settings.display.logList);
-        for(let i = data.uniqueList.length - 1; i >= 0; i--){
-            logger.log(getLogDisplayString(data.uniqueList[i]), settings.display.logList);
+    const poll = () => {
+        let stats;
+        try{
+            stats = fs.statSync(filePath);
+        }
+        catch(err){
+            // The editor may delete the log before writing a new one
+            return;
         }
-    }
-    else{
-        for(const info of logData.dataList){
-            logger.header(`Log File Summary: ${info.sourceFile}`, true);
 
-            logger.log(`Log Count: ${info.totalCount}`);
-            
-            logger.log("Log Types");
-            const typeString = Object.entries(info.typeCounts).map((value, index) => `${value[0]}:${value[1]}`).reduce((aggr, current, index, array) => aggr + ", " + current);
-            logger.log(typeString);
-
-            logger.log("Log Categories", true);
-            const categoryString = Object.entries(info.categories).map((value, index) => `${value[0]}:${value[1]}`).reduce((aggr, current, index, array) => aggr + ", " + current);
-            logger.log(categoryString);
-        }
-        for(const info of logData.dataList){
-            logger.header(`Log List: ${info.sourceFile}`, true, settings.display.logList);
-            for(let logIndex = 0; logIndex < info.uniqueList.length; logIndex++){
-                const log = info.uniqueList[logIndex];
-                
-                if(!filterLog(log)){ 
-                    logger.log(
-    `${log.message}
-        Count: ${log.count}
-        Type: ${log.type}
-        Category: ${log.category}
-        `, settings.display.logList
-                    );
-                }
+        const id = `${stats.dev}:${stats.ino}:${stats.birthtimeMs}`;
+        if(fileId !== null && id !== fileId) reset("replaced");
+        else if(stats.size < position) reset("truncated");
+        fileId = id;
+
+        if(stats.size === position){
+            // Nothing new for a while, so the entry being assembled is complete. The callstack of an ensure can be 
+            // written a moment after it, so one quiet poll is not enough.
+            if(!settled && Date.now() - lastReadTime >= settleTime){
+                settled = true;
+                const pending = assembler?.flush();
+                if(pending) publish([pending]);
             }
+            return;
         }
-    }
-}
-
+        settled = false;
+        lastReadTime = Date.now();
 
+        const buffer = Buffer.alloc(Math.min(followChunkSize, stats.size - position));
+        const fd = fs.openSync(filePath, "r");
+        try{
+            while(position < stats.size){
+                const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, stats.size - position), position);
+                if(bytesRead === 0) break;
+                position += bytesRead;
+                readText(decoder.write(buffer.subarray(0, bytesRead)));
+            }
+        }
+        finally{
+            fs.closeSync(fd);
+        }
+    };
 
-// ========================= Runtime Execution =========================
+    // Poll rather than use fs.watch, which misses writes to files held open by the editor on some platforms
+    const onInterval = () => {
+        try{
+            poll();
+        }
+        catch(err){
+            logger.error(`Failed to read ${filePath}: ${err.message}`);
+        }
+    };
+    const timer = setInterval(onInterval, options.watch?.interval ?? 500);
+    onInterval();
 
-// Get the list of files to parse
-const fileList = [];
-if(settings.textLoading.directory === "local"){
-    for(let i = 2; i < process.argv.length; i++){
-        fileList.push(process.argv[i]);
-    }
-}
-else if(settings.textLoading.directory === "folder"){
-    logger.log(`Opening folder: ${pathToFolder}`);
-    fs.readdirSync(pathToFolder, { withFileTypes: true }).forEach(file => fileList.push(file.name));
+    return {
+        logData,
+        poll,
+        close: () => {
+            clearInterval(timer);
+            flushAll();
+        }
+    };
 }
 
-// Parse the files
-try{
-    run(fileList);
-}
-catch(err){
-    if(outputStream?.writable) outputStream.end();
-    throw err;
-}
\ No newline at end of file
+
+
+// ========================= Module Exports =========================
+
+module.exports = {
+    defaultOptions,
+    silentLogger,
+    verbosityLevels,
+    getVerbosity,
+    getSeverity,
+    resolveOptions,
+    createLogInfo,
+    parseLogText,
+    parseLogFiles,
+    streamLogFiles,
+    mergeFileLogInfo,
+    followLogFile,
+    parseText,
+    parseLine,
+    registerLineParser,
+    getLineParsers,
+    detectLineParser,
+    parseStackFrame,
+    parseStream,
+    isLogInput,
+    getLogSources,
+    openLogSource,
+    readLogSource,
+    processParsedLog,
+    addParsedLog,
+    sortLogInfo,
+    parseOwnershipRules,
+    getOwnershipRules,
+    getLogOwner,
+    assignOwners,
+    groupLogsByOwner,
+    groupLogsByReference,
+    groupLogsByPhase,
+    groupLogsByMetadata,
+    metadataKeys,
+    getProcessRole,
+    parseClockOffset,
+    buildTimeline,
+    compareProcessRoles,
+    getPhaseMarkers,
+    getLogReferences,
+    parseSuppressions,
+    getSuppressions,
+    getLogSuppression,
+    getSuppressionReport,
+    checkBudgets,
+    sortLogsByCount,
+    loadText,
+    filterLog,
+    filterLogList,
+    parseFilterExpression,
+    getFilterExpression,
+    filterLogByRange,
+    getFingerprint,
+    getMaskRules,
+    parseTimestamp,
+    formatTimestamp,
+    getOccurrences,
+    getOccurrenceHistogram,
+    getHistogramDisplayString,
+    getLogDisplayString,
+    getBaselineEntries,
+    saveBaseline,
+    loadBaseline,
+    compareToBaseline,
+    createHistoryRecord,
+    appendHistory,
+    loadHistory,
+    getTrendReport,
+    getJsonReport,
+    getCsvReport,
+    getJUnitReport,
+    writeReports
+};
@@ -0,0 +1,1182 @@
+#!/usr/bin/env node
+// Load dependencies
+const fs = require("fs");
+const path = require("path");
+const colors = require("colors");
+const parser = require("./UELogParser.js");
+const server = require("./UELogParserServer.js");
+
+
+
+// ========================= Global Variables =========================
+
+/**
+ * Flags the command line accepts, in the order they are listed by --help
+ * @type {Array.<{name: string, alias: (string|undefined), value: (string|undefined), description: string, apply: function(Object, string):void}>}
+ */
+const flagDefinitions = [
+    { name: "config", alias: "c", value: "file", description: "Settings file to load instead of UELogParserSettings.json", apply: () => {} },
+    { name: "folder", alias: "f", value: "dir", description: "Parse the logs in this folder", apply: (settings, value) => {
+        settings.textLoading.directory = "folder";
+        settings.textLoading.folderPath = value;
+    } },
+    { name: "recursive", alias: "r", description: "Include logs in subfolders of the folder or glob patterns", apply: (settings) => { settings.textLoading.recursive = true; } },
+    { name: "consolidate", description: "Combine every file into one set of unique logs", apply: (settings) => { settings.textParsing.consolidate = true; } },
+    { name: "per-file", description: "Report the unique logs of each file separately", apply: (settings) => { settings.textParsing.consolidate = false; } },
+    { name: "parser", alias: "p", value: "name", description: "Read the files as this format instead of detecting it (runtime, msvc, clang, uat)", apply: (settings, value) => {
+        settings.textParsing.lineParser = value;
+    } },
+    { name: "workers", value: "count", description: "Parse the files in this many worker threads, or \"auto\" for one per CPU core", apply: (settings, value) => {
+        const count = Number(value);
+        if(value !== "auto" && (!Number.isInteger(count) || count < 0)) exitWithUsage(`Expected a number of workers or auto but got ${value}`);
+        settings.textParsing.workers = value === "auto" ? value : count;
+    } },
+    { name: "summarize", description: "Print a summary after parsing", apply: (settings) => { settings.textParsing.summarize = true; } },
+    { name: "type", alias: "t", value: "list", description: "Comma separated types to display, or \"all\"", apply: (settings, value) => applyListFilter(settings.display.filters.type, value) },
+    { name: "category", alias: "g", value: "list", description: "Comma separated categories to display, or \"all\"", apply: (settings, value) => applyListFilter(settings.display.filters.category, value) },
+    { name: "phase", value: "list", description: "Comma separated phases to display, like \"Map Load,Gameplay\", or \"all\"", apply: (settings, value) => applyListFilter(settings.display.filters.phase, value) },
+    { name: "filter", value: "expression", description: "Only display logs matching an expression, e.g. \"category:Net* and severity>=Warning and not message:/timed out/\"", apply: (settings, value) => {
+        settings.display.filters.expression = value;
+    } },
+    { name: "profile", value: "name", description: "Only display logs matching a filter profile from display.profiles in the settings", apply: (settings, value) => {
+        settings.display.profile = value;
+    } },
+    { name: "min-severity", alias: "s", value: "level", description: `Hide logs less severe than this level (${parser.verbosityLevels.join(", ")})`, apply: (settings, value) => {
+        settings.display.filters.severity.minimum = getVerbosityArgument(value);
+    } },
+    { name: "category-severity", value: "list", description: "Per category minimum severity, e.g. \"Net=Warning,Temp=Error\"", apply: (settings, value) => {
+        for(const pair of value.split(",")){
+            const [category, level] = pair.split("=").map(item => item?.trim());
+            if(!category || !level) exitWithUsage(`Expected Category=Level but got ${pair}`);
+            settings.display.filters.severity.categories[category.replace(/^Log/, "")] = getVerbosityArgument(level);
+        }
+    } },
+    { name: "group-by", value: "view", description: "Also list the logs by the \"asset\" or \"source\" file they mention", apply: (settings, value) => {
+        if(!["asset", "source"].includes(value)) exitWithUsage(`Expected asset or source but got ${value}`);
+        settings.display.groupBy = value;
+    } },
+    { name: "split-by", value: "field", description: "Also split consolidated logs by a field of the files' metadata, like \"buildConfiguration\" or \"platform\"", apply: (settings, value) => {
+        if(!parser.metadataKeys.includes(value)) exitWithUsage(`Expected one of ${parser.metadataKeys.join(", ")} but got ${value}`);
+        settings.display.splitBy = value;
+    } },
+    { name: "timeline", description: "Interleave the logs of every file by time, and compare the warnings of the server and the clients", apply: (settings) => {
+        settings.timeline.enabled = true;
+    } },
+    { name: "role", value: "list", description: "Role of each file on the timeline, e.g. \"Server.log=server,Client1.log=client\"", apply: (settings, value) => {
+        for(const [file, role] of getFileValuePairs(value)){
+            if(!["server", "client"].includes(role)) exitWithUsage(`Expected server or client but got ${role}`);
+            settings.timeline.roles[file] = role;
+        }
+    } },
+    { name: "clock-offset", value: "list", description: "Milliseconds, or seconds ending in s, to add to the times of a file, e.g. \"Client1.log=-1.5s\"", apply: (settings, value) => {
+        for(const [file, offset] of getFileValuePairs(value)){
+            try{
+                settings.timeline.clockOffsets[file] = parser.parseClockOffset(offset);
+            }
+            catch(err){
+                exitWithUsage(err.message);
+            }
+        }
+    } },
+    { name: "log-list", alias: "l", description: "Print every unique log after the summary", apply: (settings) => { settings.display.logList = true; } },
+    { name: "watch", alias: "w", value: "file", description: "Follow a log as it is written and print new warnings and errors", apply: (settings, value) => {
+        settings.watch.file = value;
+    } },
+    { name: "serve", description: "Browse the results in a local web dashboard after parsing", apply: (settings) => {
+        settings.serve = { ...settings.serve, enabled: true };
+    } },
+    { name: "port", value: "number", description: "Port of the dashboard, defaults to 8080", apply: (settings, value) => {
+        const port = Number(value);
+        if(!Number.isInteger(port) || port < 0 || port > 65535) exitWithUsage(`Expected a port number but got ${value}`);
+        settings.serve = { ...settings.serve, port };
+    } },
+    { name: "history", value: "file", description: "Append the results of this run to a history file", apply: (settings, value) => {
+        settings.history.file = path.resolve(value);
+    } },
+    { name: "label", value: "name", description: "Name of this run in the history, like a build number", apply: (settings, value) => {
+        settings.history.label = value;
+    } },
+    { name: "trend", description: "Print how each log and category changed over the recent runs in the history", apply: (settings) => {
+        settings.history.trend = true;
+    } },
+    { name: "owners", value: "file", description: "Group the report by owner using an ownership rules file", apply: (settings, value) => {
+        settings.ownership.file = path.resolve(value);
+    } },
+    { name: "suppressions", value: "file", description: "Hide known logs listed in a suppressions file", apply: (settings, value) => {
+        settings.suppressions.file = path.resolve(value);
+    } },
+    { name: "max-errors", value: "count", description: "Exit with an error code if there are more errors than this", apply: (settings, value) => {
+        const count = Number(value);
+        if(!Number.isInteger(count) || count < 0) exitWithUsage(`Expected a number of errors but got ${value}`);
+        settings.budgets.maxErrors = count;
+    } },
+    { name: "output", alias: "o", value: "file", description: "Write the console output to this file", apply: (settings, value) => {
+        settings.writeToFile = true;
+        settings.outputPath = path.resolve(value);
+    } },
+    { name: "no-output", description: "Do not write the console output to a file", apply: (settings) => { settings.writeToFile = false; } },
+    { name: "quiet", alias: "q", description: "Only print warnings and errors to the console", apply: (settings) => { settings.quiet = true; } },
+    { name: "verbose", alias: "v", description: "Print debug messages", apply: (settings) => { settings.debug = true; } },
+    { name: "help", alias: "h", description: "Print this message", apply: () => {} }
+];
+
+/** Process exit codes, so a CI step can tell a failed budget from a broken run */
+const exitCodes = {
+    success: 0,
+    budgetExceeded: 2,
+    failure: 3
+};
+
+/** Names the metadata fields are printed with */
+const metadataLabels = {
+    engineVersion: "Engine Version",
+    changelist: "Changelist",
+    branch: "Branch",
+    buildConfiguration: "Build Configuration",
+    platform: "Platform",
+    os: "OS",
+    cpu: "CPU",
+    gpu: "GPU",
+    computer: "Computer",
+    memory: "Memory",
+    commandLine: "Command Line"
+};
+
+/** Flags and patterns read from the command line */
+const args = parseArguments(process.argv.slice(2));
+
+/** Settings from the config file, overridden by the command line flags */
+const settings = applyArguments(loadSettings(args.flags.config), args);
+
+/** The path to folder with the logs */
+let pathToFolder = settings.textLoading.folderPath;
+
+/** the write stream for printing to a file */
+let outputStream;
+if(settings.writeToFile) outputStream = fs.createWriteStream(path.resolve(__dirname, settings.outputPath ?? "UELogParser_Output.txt")); 
+
+/** Object which contains modified logging methods */
+const logger = {
+    empty: (printToConsole = true) => {
+        if(settings.writeToFile) outputStream.write("\n");
+        if(printToConsole && !settings.quiet){
+            clearProgress();
+            console.log();
+        }
+    },
+    header: (text, newLine = false, printToConsole = true) => {
+        const string = ( newLine ? "\n" : "") + "----- ".green + text.green + " -----".green;
+        if(settings.writeToFile) outputStream.write(( newLine ? "\n" : "") + "----- " + text + " -----" + "\n");
+        if(printToConsole && !settings.quiet){
+            clearProgress();
+            console.log(string);
+        }
+    },
+    log: (text, printToConsole = true)=>{
+        const string = (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")).cyan;
+        if(settings.writeToFile) outputStream.write((typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")) + "\n");
+        if(printToConsole && !settings.quiet){
+            clearProgress();
+            console.log(string);
+        }
+    },
+    debug: (text, printToConsole = true) =>{
+        if(settings.debug){
+            const string = (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t"));
+            if(printToConsole && !settings.quiet){
+                clearProgress();
+                console.debug(string.magenta);
+            }
+            if(settings.writeToFile){
+                outputStream.write(string);
+            }
+        }
+    },
+    warn: (text, printToConsole = true)=>{
+        const string = "Warning:".bgYellow.black + " ".yellow + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")).yellow;
+        if(settings.writeToFile) outputStream.write("Warning:" + " " + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")) + "\n");
+        if(printToConsole){
+            clearProgress();
+            console.log(string);
+        }
+    },
+    error: (text, printToConsole = true)=>{
+        const string = "ERROR!".bgRed.black + " ".yellow + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")).red;
+        if(settings.writeToFile) outputStream.write("ERROR!" + " " + (typeof(text) === "string" ? text : JSON.stringify(text,null,"\t")) + "\n");
+        if(printToConsole){
+            clearProgress();
+            console.log(string);
+        }
+    }
+};
+
+/** When progress was last printed, so it is only redrawn a few times a second */
+let lastProgressTime = 0;
+
+/** Length of the progress line currently on the console, 0 if there is none */
+let progressLength = 0;
+
+/**
+ * Settings passed to the parser, with the console logger attached
+ * @type {ParserOptions}
+ */
+const options = parser.resolveOptions({ ...settings, logger, onProgress: printProgress });
+
+// ========================= Function Definitions =========================
+
+/**
+ * @function parseArguments
+ * @description Splits the command line into flags and file patterns
+ * 
+ * @param {Array.<string>} argv Arguments after the script name
+ * 
+ * @returns {{flags: Object.<string,(string|boolean)>, order: Array.<string>, patterns: Array.<string>}}
+ */
+function parseArguments(argv){
+    const parsed = { flags: {}, order: [], patterns: [] };
+
+    for(let i = 0; i < argv.length; i++){
+        const arg = argv[i];
+        if(!arg.startsWith("-") || arg === "-"){
+            parsed.patterns.push(arg);
+            continue;
+        }
+
+        // Accept --name value, --name=value and -a value
+        let [key, inlineValue] = arg.replace(/^--?/, "").split(/=(.*)/s);
+        const definition = flagDefinitions.find(flag => (arg.startsWith("--") ? flag.name : flag.alias) === key);
+        if(!definition){
+            exitWithUsage(`Unknown flag ${arg}`);
+        }
+
+        let value = true;
+        if(definition.value){
+            value = inlineValue ?? argv[++i];
+            if(value === undefined){
+                exitWithUsage(`Flag --${definition.name} expects a ${definition.value}`);
+            }
+        }
+        parsed.flags[definition.name] = value;
+        parsed.order.push(definition.name);
+    }
+
+    if(parsed.flags.help){
+        console.log(getUsageString());
+        process.exit(0);
+    }
+    return parsed;
+}
+
+/**
+ * @function getUsageString
+ * @description Lists the command line flags for --help
+ * 
+ * @returns {string}
+ */
+function getUsageString(){
+    const lines = flagDefinitions.map(flag => {
+        const names = (flag.alias ? `-${flag.alias}, ` : "    ") + `--${flag.name}` + (flag.value ? ` <${flag.value}>` : "");
+        return `  ${names.padEnd(32)} ${flag.description}`;
+    });
+    return `Usage: uelogparser [options] [files or glob patterns...]
+
+Flags override the values in the settings file.
+
+Options:
+${lines.join("\n")}`;
+}
+
+/**
+ * @function exitWithUsage
+ * @description Prints a command line error followed by the usage and exits
+ * 
+ * @param {string} message 
+ */
+function exitWithUsage(message){
+    console.error(message.red);
+    console.error(getUsageString());
+    process.exit(exitCodes.failure);
+}
+
+/**
+ * @function loadSettings
+ * @description Reads the settings file, defaulting to the one beside this script
+ * 
+ * @param {string} [configPath] 
+ * 
+ * @returns {Object}
+ */
+function loadSettings(configPath){
+    const filePath = configPath ? path.resolve(configPath) : path.join(__dirname, "UELogParserSettings.json");
+    try{
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+    catch(err){
+        exitWithUsage(`Settings file ${filePath} could not be read: ${err.message}`);
+    }
+}
+
+/**
+ * @function applyArguments
+ * @description Overrides the settings with the command line flags, in the order they were given
+ * 
+ * @param {Object} loaded Settings read from the config file
+ * @param {{flags: Object.<string,(string|boolean)>, order: Array.<string>, patterns: Array.<string>}} parsedArgs 
+ * 
+ * @returns {Object}
+ */
+function applyArguments(loaded, parsedArgs){
+    const merged = parser.resolveOptions(loaded);
+    merged.textLoading = { directory: "local", recursive: false, patterns: [], ...merged.textLoading };
+    if(merged.ownership.file) merged.ownership.file = path.resolve(merged.ownership.file);
+    if(merged.history.file) merged.history.file = path.resolve(merged.history.file);
+    if(merged.suppressions.file) merged.suppressions.file = path.resolve(merged.suppressions.file);
+    merged.textParsing.parserModules = merged.textParsing.parserModules.map(modulePath => path.resolve(__dirname, modulePath));
+
+    for(const name of parsedArgs.order){
+        flagDefinitions.find(flag => flag.name === name).apply(merged, parsedArgs.flags[name]);
+    }
+    if(parsedArgs.patterns.length > 0){
+        merged.textLoading.patterns = parsedArgs.patterns;
+        // Files named on the command line are found from the working directory, not the folder in the settings
+        if(!parsedArgs.order.includes("folder")) merged.textLoading.directory = "local";
+    }
+    return merged;
+}
+
+/**
+ * @function applyListFilter
+ * @description Sets a type or category filter to only allow the comma separated values
+ * 
+ * @param {Object} filter 
+ * @param {string} value Comma separated values, or "all" to turn the filter off
+ */
+function applyListFilter(filter, value){
+    if(value.trim().toLowerCase() === "all"){
+        filter.ignore = true;
+        return;
+    }
+    filter.ignore = false;
+    filter.whitelist = value.split(",").map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * @function getFileValuePairs
+ * @description Splits a flag value like "Server.log=server,Client1.log=client" into file and value pairs
+ * 
+ * @param {string} value 
+ * 
+ * @returns {Array.<Array.<string>>}
+ */
+function getFileValuePairs(value){
+    return value.split(",").map(pair => {
+        const separator = pair.lastIndexOf("=");
+        const file = pair.slice(0, separator).trim();
+        const setting = pair.slice(separator + 1).trim();
+        if(separator === -1 || !file || !setting) exitWithUsage(`Expected File=Value but got ${pair}`);
+        return [file, setting];
+    });
+}
+
+/**
+ * @function getVerbosityArgument
+ * @description Checks a verbosity level given on the command line
+ * 
+ * @param {string} value 
+ * 
+ * @returns {string} The verbosity level with its proper casing
+ */
+function getVerbosityArgument(value){
+    const level = parser.getVerbosity(value);
+    if(!level){
+        exitWithUsage(`Unknown verbosity ${value}, expected one of ${parser.verbosityLevels.join(", ")}`);
+    }
+    return level;
+}
+
+/**
+ * @function globToRegex
+ * @description Converts a glob pattern using *, ** and ? into a regex matching forward slash separated paths
+ * 
+ * @param {string} pattern 
+ * 
+ * @returns {RegExp}
+ */
+function globToRegex(pattern){
+    let source = "";
+    const normalized = pattern.replace(/\\/g, "/");
+    for(let i = 0; i < normalized.length; i++){
+        const char = normalized[i];
+        if(char === "*" && normalized[i + 1] === "*"){
+            const followedBySlash = normalized[i + 2] === "/";
+            source += followedBySlash ? "(?:.*/)?" : ".*";
+            i += followedBySlash ? 2 : 1;
+        }
+        else if(char === "*") source += "[^/]*";
+        else if(char === "?") source += "[^/]";
+        else source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+    return new RegExp(`^${source}$`, process.platform === "win32" ? "i" : "");
+}
+
+/**
+ * @function listFiles
+ * @description Lists the files in a folder, relative to that folder and separated by forward slashes
+ * 
+ * @param {string} folderPath 
+ * @param {boolean} recursive 
+ * @param {string} [prefix] Path of the current subfolder, used while recursing
+ * 
+ * @returns {Array.<string>}
+ */
+function listFiles(folderPath, recursive, prefix = ""){
+    const files = [];
+    for(const entry of fs.readdirSync(path.join(folderPath, prefix), { withFileTypes: true })){
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if(entry.isDirectory()){
+            if(recursive) files.push(...listFiles(folderPath, recursive, relativePath));
+        }
+        else if(entry.isFile()){
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+/**
+ * @function getFileList
+ * @description Finds the paths of the logs to parse from the folder and glob patterns in the settings
+ * 
+ * @returns {Array.<string>}
+ */
+function getFileList(){
+    const { directory, recursive, patterns } = settings.textLoading;
+
+    // Every log in the folder, or every file which matches a pattern if any are given
+    if(directory === "folder"){
+        logger.log(`Opening folder: ${pathToFolder}`);
+        const matchers = patterns.map(globToRegex);
+        return listFiles(pathToFolder, recursive || patterns.some(pattern => pattern.includes("**")))
+            .filter(file => matchers.length === 0 ? parser.isLogInput(file) : matchers.some(matcher => matcher.test(file)))
+            .map(file => path.join(pathToFolder, file));
+    }
+
+    // Plain paths and glob patterns relative to the working directory
+    const fileList = [];
+    for(const pattern of patterns){
+        if(!/[*?]/.test(pattern)){
+            fileList.push(path.resolve(pattern));
+            continue;
+        }
+
+        const normalized = pattern.replace(/\\/g, "/");
+        const baseEnd = normalized.slice(0, normalized.search(/[*?]/)).lastIndexOf("/");
+        const basePath = path.resolve(baseEnd === -1 ? "." : normalized.slice(0, baseEnd + 1));
+        const matcher = globToRegex(baseEnd === -1 ? normalized : normalized.slice(baseEnd + 1));
+        if(!fs.existsSync(basePath)) continue;
+
+        for(const file of listFiles(basePath, recursive || pattern.includes("**"))){
+            if(matcher.test(file) && !fileList.includes(path.join(basePath, file))) fileList.push(path.join(basePath, file));
+        }
+    }
+    return fileList;
+}
+
+/**
+ * 
+ * @param {LogInfo} logInfo The logs the filters let through, see filterLogList
+ */
+function getParseSummary(logInfo){
+    const highestCount = logInfo.uniqueList.reduce((highest, log) => Math.max(highest, log.count), 0);
+    const lowestCount = logInfo.uniqueList.reduce((lowest, log) => Math.min(lowest, log.count), highestCount);
+    logger.log(`${logInfo.uniqueList.length} unique entries ranging from counts of ${highestCount} to ${lowestCount}`);
+    logger.empty();
+
+    for(const type of Object.keys(logInfo.typeCounts)){
+        let printFunction = logger.log;
+        printFunction(`${logInfo.typeCounts[type]} ${type}`);
+    }
+
+    logger.empty();    
+    for(const category of Object.entries(logInfo.categories)){
+        logger.log(`${category[0]} was logged to ${category[1]} times`);
+    }
+}
+
+/**
+ * @function printBaselineComparison
+ * @description Prints each section of a baseline comparison grouped by category and type
+ * 
+ * @param {BaselineComparison} comparison 
+ */
+function printBaselineComparison(comparison){
+    const sections = [
+        ["New", comparison.newEntries],
+        ["Resolved", comparison.resolvedEntries],
+        ["Increased", comparison.increasedEntries],
+        ["Decreased", comparison.decreasedEntries]
+    ];
+
+    logger.header("Baseline Comparison", true);
+    logger.log(sections.map(([name, list]) => `${name}: ${list.length}`).join(", ") + `, Unchanged: ${comparison.unchangedCount}`);
+
+    for(const [name, list] of sections){
+        if(list.length === 0) continue;
+        logger.header(`${name} Logs`, true);
+
+        // Group by category, then by type
+        const groups = {};
+        for(const delta of list){
+            const key = `${delta.category ?? "general"} / ${delta.type ?? "general"}`;
+            if(!groups[key]) groups[key] = [];
+            groups[key].push(delta);
+        }
+
+        for(const key of Object.keys(groups).sort()){
+            logger.log(`${key} (${groups[key].length})`);
+            for(const delta of groups[key]){
+                logger.log(`    ${delta.message} [${delta.baselineCount} -> ${delta.currentCount}]`);
+            }
+        }
+    }
+}
+
+/**
+ * @function printSuppressionReport
+ * @description Prints how much each suppression hid, warning about suppressions which have expired or no longer match anything
+ * 
+ * @param {Array.<SuppressionResult>} results 
+ */
+function printSuppressionReport(results){
+    const describe = (suppression) => [
+        suppression.category ? `category ${suppression.category}` : null,
+        suppression.message ? `message ${suppression.message}` : null,
+        suppression.fingerprint ? `fingerprint ${suppression.fingerprint}` : null
+    ].filter(part => part).join(", ");
+
+    const suppressedCount = results.reduce((total, result) => total + result.suppressedCount, 0);
+    logger.header("Suppressions", true);
+    logger.log(`${suppressedCount} occurrences hidden by ${results.filter(result => result.suppressedCount > 0).length} of ${results.length} suppressions`);
+
+    for(const result of results){
+        const { suppression } = result;
+        const expiryDate = suppression.expires?.toISOString().slice(0, 10);
+        const expiry = expiryDate ? ` (expires ${expiryDate})` : "";
+        if(result.expired){
+            logger.warn(`Suppression ${suppression.index + 1} expired on ${expiryDate}, ${result.occurrenceCount} occurrences are no longer hidden: ${describe(suppression)} - ${suppression.reason}`);
+        }
+        else if(result.stale){
+            logger.warn(`Suppression ${suppression.index + 1} matched nothing and can be removed: ${describe(suppression)} - ${suppression.reason}`);
+        }
+        else{
+            logger.log(`${result.suppressedCount} occurrences, ${result.uniqueCount} unique: ${describe(suppression)} - ${suppression.reason}${expiry}`);
+        }
+    }
+}
+
+/**
+ * @function printBudgetViolations
+ * @description Prints each budget the logs went over, with the logs which counted towards it
+ * 
+ * @param {Array.<BudgetViolation>} violations 
+ */
+function printBudgetViolations(violations){
+    logger.header("Budgets", true);
+    if(violations.length === 0){
+        logger.log("All budgets met");
+        return;
+    }
+
+    const descriptions = {
+        maxErrors: () => "Errors",
+        maxWarningsPerCategory: (target) => `Warnings in ${target}`,
+        maxUniquePerType: (target) => `Unique ${target} logs`,
+        noNewFatal: () => "New fatal errors and ensures"
+    };
+    for(const violation of violations){
+        logger.error(`${descriptions[violation.budget](violation.target)}: ${violation.actual} over the budget of ${violation.limit}`);
+        for(const log of violation.logs.slice(0, 5)){
+            logger.log(`    ${log.count}x ${getLogLine(log)}`);
+        }
+        if(violation.logs.length > 5){
+            logger.log(`    ...and ${violation.logs.length - 5} more`);
+        }
+    }
+}
+
+/**
+ * @function getSparkline
+ * @description Draws a list of values as a line of block characters scaled to the largest
+ * 
+ * @param {Array.<number>} values 
+ * 
+ * @returns {string}
+ */
+function getSparkline(values){
+    const blocks = "▁▂▃▄▅▆▇█";
+    const largest = Math.max(...values);
+    return values.map(value => value === 0 ? " " : blocks[largest === 0 ? 0 : Math.round(value / largest * (blocks.length - 1))]).join("");
+}
+
+/**
+ * @function printTrendReport
+ * @description Prints the category curves, and the logs which are new, regressed, fixed or most frequent over the recent runs
+ * 
+ * @param {TrendReport} report 
+ */
+function printTrendReport(report){
+    logger.header(`Trend over the last ${report.runs.length} runs`, true);
+    if(report.runs.length === 0){
+        logger.log("No runs have been recorded yet");
+        return;
+    }
+    for(const run of report.runs){
+        logger.log(`${run.label} (${run.createdAt}): ${run.totalCount} logs, ${run.uniqueCount} unique`);
+    }
+
+    logger.header("Errors and Warnings per Category", true);
+    const categories = Object.entries(report.categories)
+        .filter(([category, curves]) => curves.errors.some(count => count > 0) || curves.warnings.some(count => count > 0))
+        .sort((a, b) => a[0].localeCompare(b[0]));
+    const width = Math.max(0, ...categories.map(([category]) => category.length));
+    for(const [category, curves] of categories){
+        for(const [name, counts] of [["errors", curves.errors], ["warnings", curves.warnings]]){
+            if(counts.every(count => count === 0)) continue;
+            logger.log(`${category.padEnd(width)} ${name.padEnd(8)} ${getSparkline(counts)} ${counts.join(" -> ")}`);
+        }
+    }
+
+    const latest = report.runs[report.runs.length - 1].label;
+    const previous = report.runs.length > 1 ? report.runs[report.runs.length - 2].label : null;
+    const sections = [
+        ["Regressed Logs", report.entries.filter(entry => entry.status === "regressed")],
+        ["New Logs", report.entries.filter(entry => entry.status === "new")],
+        ["Fixed Since the Last Run", report.entries.filter(entry => entry.status === "fixed" && entry.lastSeen.label === previous)],
+        ["Most Frequent Logs", report.entries.filter(entry => entry.status !== "fixed").slice(0, 20)]
+    ];
+    for(const [name, entries] of sections){
+        if(entries.length === 0) continue;
+        logger.header(name, true);
+        for(const entry of entries){
+            const print = entry.status === "regressed" ? logger.warn : logger.log;
+            print(`Log${entry.category ?? "general"}: ${entry.type ?? "general"}: ${entry.message ?? entry.fingerprint}`);
+            logger.log(`    Counts: ${entry.counts.join(" ")}, first seen ${entry.firstSeen.label}, last seen ${entry.lastSeen.label === latest ? "in this run" : entry.lastSeen.label}`);
+        }
+    }
+}
+
+/**
+ * @function printProgress
+ * @description Redraws a single progress line while a file is streamed, only on an interactive console
+ * 
+ * @param {ParseProgress} progress 
+ */
+function printProgress(progress){
+    if(settings.quiet || !process.stdout.isTTY) return;
+
+    if(progress.done){
+        clearProgress();
+        return;
+    }
+
+    const now = Date.now();
+    if(now - lastProgressTime < 250) return;
+    lastProgressTime = now;
+
+    const toMegabytes = (bytes) => (bytes / 1048576).toFixed(1);
+    const percent = progress.totalBytes > 0 ? Math.floor(progress.bytesRead / progress.totalBytes * 100) : 100;
+    const line = `File ${progress.fileIndex + 1}/${progress.fileCount} ${progress.fileName}: ${toMegabytes(progress.bytesRead)}/${toMegabytes(progress.totalBytes)} MB (${percent}%)`;
+    clearProgress();
+    process.stdout.write(line.grey);
+    progressLength = line.length;
+}
+
+/**
+ * @function clearProgress
+ * @description Erases the progress line so other output starts on a clean line
+ */
+function clearProgress(){
+    if(progressLength === 0) return;
+    process.stdout.write("\r" + " ".repeat(progressLength) + "\r");
+    progressLength = 0;
+}
+
+/**
+ * @function getGroupSummary
+ * @description Summarizes the logs of an owner, asset or source file on one line
+ * 
+ * @param {string} name 
+ * @param {LogInfo} group 
+ * 
+ * @returns {string}
+ */
+function getGroupSummary(name, group){
+    return `${name}: ${group.typeCounts.errors} errors, ${group.typeCounts.warnings} warnings, ${group.uniqueList.length} unique, ${group.totalCount} logs`;
+}
+
+/**
+ * @function printReferenceGroups
+ * @description Prints the distinct logs for each asset or source file, so they can be fixed in one pass
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {string} groupBy "asset" or "source"
+ */
+function printReferenceGroups(uniqueList, groupBy){
+    const groups = parser.groupLogsByReference(uniqueList, groupBy);
+    logger.header(groupBy === "source" ? "Logs by Source File" : "Logs by Asset", true);
+    if(Object.keys(groups).length === 0){
+        logger.log(`No logs mention ${groupBy === "source" ? "a source file" : "an asset"}`);
+        return;
+    }
+
+    for(const [reference, group] of Object.entries(groups)){
+        logger.log(getGroupSummary(reference, group));
+        for(let i = group.uniqueList.length - 1; i >= 0; i--){
+            logger.log(`    ${group.uniqueList[i].count}x ${getLogLine(group.uniqueList[i])}`);
+        }
+    }
+}
+
+/**
+ * @function printMetadata
+ * @description Prints what the LogInit lines of a file say about the run which wrote it
+ * 
+ * @param {LogMetadata} [metadata] 
+ */
+function printMetadata(metadata){
+    const keys = parser.metadataKeys.filter(key => metadata?.[key] !== undefined);
+    if(keys.length === 0) return;
+
+    logger.log("Log Metadata");
+    for(const key of keys){
+        logger.log(`${metadataLabels[key] ?? key}: ${metadata[key]}`);
+    }
+}
+
+/**
+ * @function printMetadataGroups
+ * @description Prints the logs for each value of a metadata field, so runs on different platforms or build configurations can be compared
+ * 
+ * @param {Array.<LogObject>} uniqueList 
+ * @param {Object.<string,LogMetadata>} fileMetadata 
+ * @param {string} splitBy One of the metadata keys
+ */
+function printMetadataGroups(uniqueList, fileMetadata, splitBy){
+    const groups = parser.groupLogsByMetadata(uniqueList, fileMetadata, splitBy);
+    logger.header(`Logs by ${metadataLabels[splitBy] ?? splitBy}`, true);
+    if(Object.keys(groups).length === 0){
+        logger.log("No logs to split");
+        return;
+    }
+
+    for(const [value, group] of Object.entries(groups)){
+        const fileCount = Object.values(fileMetadata ?? {}).filter(metadata => (metadata[splitBy] ?? "unknown") === value).length;
+        logger.log(getGroupSummary(`${value} (${fileCount} ${fileCount === 1 ? "file" : "files"})`, group));
+    }
+
+    // Logs seen with every value are the same everywhere, so only the differences are listed
+    const valueCount = Object.keys(groups).length;
+    const seenIn = new Map();
+    for(const group of Object.values(groups)){
+        for(const log of group.uniqueList) seenIn.set(log, (seenIn.get(log) ?? 0) + 1);
+    }
+    for(const [value, group] of Object.entries(groups)){
+        const only = group.uniqueList.filter(log => valueCount > 1 && seenIn.get(log) === 1);
+        if(only.length === 0) continue;
+        logger.log(`Only in ${value}:`);
+        for(let i = only.length - 1; i >= 0; i--){
+            logger.log(`    ${only[i].count}x ${getLogLine(only[i])}`);
+        }
+    }
+}
+
+/**
+ * @function printTimeline
+ * @description Prints the logs of every process in the order they were printed, tagged with the role and file they came from
+ * 
+ * @param {Timeline} timeline 
+ */
+function printTimeline(timeline){
+    logger.header("Timeline", true);
+    for(const processInfo of timeline.processes){
+        const offset = processInfo.clockOffset ? `, clock offset ${processInfo.clockOffset > 0 ? "+" : ""}${processInfo.clockOffset}ms` : "";
+        logger.log(`${processInfo.file}: ${processInfo.role}${offset}, ${processInfo.entryCount} logs`);
+        if(processInfo.role === "unknown") logger.warn(`The role of ${processInfo.file} could not be worked out, set it with --role ${processInfo.file}=server or client`);
+    }
+    if(timeline.untimedCount > 0) logger.log(`${timeline.untimedCount} logs without a timestamp are not on the timeline`);
+    if(timeline.droppedCount > 0) logger.warn(`${timeline.droppedCount} logs past textParsing.maxSiblings are not on the timeline`);
+    logger.empty();
+
+    const fileWidth = Math.max(0, ...timeline.processes.map(processInfo => processInfo.file.length));
+    for(const entry of timeline.entries){
+        logger.log(`[${parser.formatTimestamp(entry.timestamp)}][${entry.role.padEnd(7)}][${entry.file.padEnd(fileWidth)}] ${entry.logText}`);
+    }
+}
+
+/**
+ * @function printRoleComparison
+ * @description Prints the warnings and errors only the server printed, only clients printed, and both printed
+ * 
+ * @param {RoleComparison} comparison 
+ */
+function printRoleComparison(comparison){
+    logger.header("Warnings by Process Role", true);
+    const sections = [
+        ["Only on the server", comparison.serverOnly],
+        ["Only on clients", comparison.clientOnly],
+        ["On the server and clients", comparison.both]
+    ];
+    for(const [title, list] of sections){
+        logger.log(`${title}: ${list.length} unique`);
+        for(const { log, serverCount, clientCount } of list){
+            logger.log(`    ${serverCount}x server, ${clientCount}x client ${getLogLine(log)}`);
+        }
+    }
+}
+
+/**
+ * @function getTotalsString
+ * @description Summarizes the unique and type counts of a log info on one line
+ * 
+ * @param {LogInfo} logData 
+ * 
+ * @returns {string}
+ */
+function getTotalsString(logData){
+    const { fatal, errors, warnings } = logData.typeCounts;
+    return `Totals: ${logData.totalCount} logs, ${logData.uniqueList.length} unique, ${fatal} fatal, ${errors} errors, ${warnings} warnings`;
+}
+
+/**
+ * @function getLogLine
+ * @description Rebuilds a single line for a log, using the ensure condition rather than the ensure header where there is one
+ * 
+ * @param {LogObject} log 
+ * 
+ * @returns {string}
+ */
+function getLogLine(log){
+    return log.message !== undefined ? `Log${log.category}: ${log.type}: ${log.message}` : log.logText;
+}
+
+/**
+ * @function watch
+ * @description Follows a live log, printing each log the first time it appears and the count of logs which repeat
+ * 
+ * @param {string} filePath 
+ */
+function watch(filePath){
+    const resolvedPath = path.resolve(filePath);
+    logger.header(`Watching ${resolvedPath}`, true);
+    logger.log("Press Ctrl+C to stop");
+
+    const follower = parser.followLogFile(resolvedPath, options, {
+        onEntries: (updates, logData) => {
+            const repeated = new Map();
+            let printed = false;
+
+            for(const update of updates){
+                if(parser.filterLog(update.log, options)) continue;
+                printed = true;
+
+                if(update.isNew){
+                    const severity = parser.getSeverity(update.log.type);
+                    const print = severity !== undefined && severity <= 2 ? logger.error : severity === 3 ? logger.warn : logger.log;
+                    print(`[${parser.formatTimestamp(update.entry.timestamp)}] ${getLogLine(update.log)}`);
+                }
+                else{
+                    repeated.set(update.log, (repeated.get(update.log) ?? 0) + 1);
+                }
+            }
+
+            for(const [log, added] of repeated){
+                logger.log(`+${added} (${log.count} total) ${getLogLine(log)}`);
+            }
+            if(printed) logger.log(getTotalsString(logData).grey);
+        },
+        onReset: (reason) => {
+            logger.header(`Log file was ${reason}, reading from the start`, true);
+        }
+    });
+
+    process.on("SIGINT", () => {
+        follower.close();
+        logger.header("Stopped watching", true);
+        logger.log(getTotalsString(follower.logData));
+        if(outputStream?.writable) outputStream.end();
+        process.exit(0);
+    });
+}
+
+/**
+ * @function serve
+ * @description Serves the dashboard for the parsed logs until the process is stopped
+ * 
+ * @param {LogInfo} logData 
+ */
+function serve(logData){
+    const host = settings.serve.host ?? "127.0.0.1";
+    const dashboard = server.createDashboardServer(logData, options);
+    dashboard.on("error", (err) => {
+        logger.error(`Dashboard could not be started: ${err.message}`);
+        process.exitCode = exitCodes.failure;
+    });
+    dashboard.listen(settings.serve.port ?? 8080, host, () => {
+        logger.header(`Dashboard running at http://${host}:${dashboard.address().port}`, true);
+        logger.log("Press Ctrl+C to stop");
+    });
+
+    process.on("SIGINT", () => {
+        dashboard.close();
+        if(outputStream?.writable) outputStream.end();
+        process.exit(process.exitCode ?? exitCodes.success);
+    });
+}
+
+/**
+ * 
+ * @param {Array.<string>} fileList Paths of the files to parse, see getFileList
+ */
+async function run(fileList){
+    const comparePath = settings.baseline?.compare ? path.resolve(settings.baseline.compare) : null;
+    if(comparePath && !fs.existsSync(comparePath)){
+        throw new Error(`Baseline file ${comparePath} could not be found`);
+    }
+
+    if(!fileList || fileList.length == 0){
+        logger.error("No files found");
+        process.exitCode = exitCodes.failure;
+        if(settings.history.trend && settings.history.file){
+            printTrendReport(parser.getTrendReport(parser.loadHistory(settings.history.file), settings.history.trendRuns));
+        }
+        return;
+    }
+
+    // Stream, parse and sort each file
+    const logData = await parser.streamLogFiles(fileList, options);
+
+    if(settings.textParsing.summarize){
+        for(const info of settings.textParsing.consolidate ? [logData] : logData.dataList){
+            logger.header(`Parse Summary` + (info.sourceFile ? (" " + info.sourceFile) : ""), true);
+            getParseSummary(parser.filterLogList(info.uniqueList, options));
+        }
+    }
+
+    logger.empty();
+    logger.log("Processing finished.");
+    logger.empty();
+
+    if(settings.textParsing.consolidate){
+        const data = parser.filterLogList(logData.uniqueList, options);
+        logger.header(`Log Data`, true);
+
+        logger.log(`Log Count: ${data.totalCount}`);
+        logger.log(`Unique Log Count: ${data.uniqueList.length}`);
+        
+        logger.header("Log Types", true);
+        const typeEntries = Object.entries(data.typeCounts).map((value, index) => `${value[0]}: ${value[1]}`);
+        if(typeEntries.length > 0){
+            const typeString = typeEntries.reduce((aggr, current, index, array) => aggr + ", " + current)
+            logger.log(typeString);
+        }
+
+        logger.header("Log Categories", true);
+        const categoryEntries = Object.entries(data.categories).map((value, index) => `${value[0]}: ${value[1]}`);
+        if(categoryEntries.length > 0){
+            const categoryString = categoryEntries.reduce((aggr, current, index, array) => aggr + ", " + current)
+            logger.log(categoryString);
+        }
+
+        const phaseGroups = parser.groupLogsByPhase(data.uniqueList, options);
+        if(Object.keys(phaseGroups).length > 0){
+            logger.header("Log Phases", true);
+            for(const [phase, group] of Object.entries(phaseGroups)){
+                logger.log(getGroupSummary(phase, group));
+            }
+        }
+
+        if(settings.display.histogram && settings.display.histogram.mode !== "none"){
+            logger.header(`Occurrences per ${settings.display.histogram.mode}`, true);
+            logger.log(parser.getHistogramDisplayString(parser.getOccurrenceHistogram(data.uniqueList, settings.display.histogram.mode, settings.display.histogram.frameBucketSize)));
+        }
+
+        if(settings.display.groupBy){
+            printReferenceGroups(data.uniqueList, settings.display.groupBy);
+        }
+
+        if(settings.display.splitBy){
+            printMetadataGroups(data.uniqueList, logData.fileMetadata, settings.display.splitBy);
+        }
+
+        const ownerGroups = parser.getOwnershipRules(options) ? parser.groupLogsByOwner(data.uniqueList) : null;
+        if(ownerGroups){
+            logger.header("Log Owners", true);
+            for(const [owner, group] of Object.entries(ownerGroups)){
+                logger.log(getGroupSummary(owner, group));
+            }
+
+            for(const [owner, group] of Object.entries(ownerGroups)){
+                logger.header(`Log List: ${owner}`, true, settings.display.logList);
+                for(let i = group.uniqueList.length - 1; i >= 0; i--){
+                    logger.log(parser.getLogDisplayString(group.uniqueList[i], options), settings.display.logList);
+                }
+            }
+        }
+        else{
+            logger.header("Log List", true, settings.display.logList);
+            for(let i = data.uniqueList.length - 1; i >= 0; i--){
+                logger.log(parser.getLogDisplayString(data.uniqueList[i], options), settings.display.logList);
+            }
+        }
+    }
+    else{
+        for(const info of logData.dataList){
+            // The counts are of the displayed logs, so they agree with the log list
+            const data = parser.filterLogList(info.uniqueList, options);
+            logger.header(`Log File Summary: ${info.sourceFile}`, true);
+
+            printMetadata(info.metadata);
+            logger.log(`Log Count: ${data.totalCount}`);
+            
+            logger.log("Log Types");
+            const typeString = Object.entries(data.typeCounts).map((value, index) => `${value[0]}:${value[1]}`).reduce((aggr, current, index, array) => aggr + ", " + current);
+            logger.log(typeString);
+
+            logger.log("Log Categories", true);
+            const categoryString = Object.entries(data.categories).map((value, index) => `${value[0]}:${value[1]}`).join(", ");
+            logger.log(categoryString);
+
+            const phaseGroups = parser.groupLogsByPhase(data.uniqueList, options);
+            if(Object.keys(phaseGroups).length > 0){
+                logger.log("Log Phases");
+                for(const [phase, group] of Object.entries(phaseGroups)){
+                    logger.log(getGroupSummary(phase, group));
+                }
+            }
+
+            if(parser.getOwnershipRules(options)){
+                logger.log("Log Owners");
+                const ownerGroups = parser.groupLogsByOwner(data.uniqueList);
+                for(const [owner, group] of Object.entries(ownerGroups)){
+                    logger.log(getGroupSummary(owner, group));
+                }
+            }
+
+            if(settings.display.groupBy){
+                printReferenceGroups(data.uniqueList, settings.display.groupBy);
+            }
+        }
+        for(const info of logData.dataList){
+            logger.header(`Log List: ${info.sourceFile}`, true, settings.display.logList);
+            for(let logIndex = 0; logIndex < info.uniqueList.length; logIndex++){
+                const log = parser.filterLogByRange(info.uniqueList[logIndex], options);
+                
+                if(log && !parser.filterLog(log, options)){ 
+                    logger.log(
+    `${log.message}
+        Count: ${log.count}
+        Type: ${log.type}
+        Category: ${log.category}
+        Owner: ${log.owner ?? "unowned"}
+        First Seen: ${parser.formatTimestamp(log.firstSeen)}
+        Last Seen: ${parser.formatTimestamp(log.lastSeen)}
+        `, settings.display.logList
+                    );
+                }
+            }
+        }
+    }
+
+    if(settings.timeline.enabled){
+        printTimeline(parser.buildTimeline(logData, options));
+        printRoleComparison(parser.compareProcessRoles(logData, options));
+    }
+
+    const baselineList = settings.textParsing.consolidate
+        ? logData.uniqueList
+        : logData.dataList.reduce((list, info) => list.concat(info.uniqueList), []);
+
+    // Report what the suppressions hid
+    const suppressionResults = parser.getSuppressionReport(baselineList, options);
+    if(suppressionResults.length > 0){
+        printSuppressionReport(suppressionResults);
+    }
+
+    // Compare against and update the baseline
+    let baselineEntries;
+    if(comparePath){
+        const current = parser.filterLogList(baselineList, options).uniqueList;
+        baselineEntries = parser.loadBaseline(comparePath);
+        printBaselineComparison(parser.compareToBaseline(current, baselineEntries, options));
+    }
+    if(settings.baseline?.save){
+        const savePath = path.resolve(settings.baseline.save);
+        const baseline = parser.saveBaseline(baselineList, savePath);
+        logger.log(`Saved baseline of ${baseline.entries.length} unique logs to ${savePath}`);
+    }
+
+    // Record the run and show how it compares to earlier runs
+    if(settings.history.file){
+        const record = parser.appendHistory(settings.history.file, parser.createHistoryRecord(baselineList, settings.history.label ?? undefined));
+        logger.log(`Recorded run ${record.label} in ${settings.history.file}`);
+    }
+    if(settings.history.trend){
+        if(settings.history.file){
+            printTrendReport(parser.getTrendReport(parser.loadHistory(settings.history.file), settings.history.trendRuns));
+        }
+        else{
+            logger.warn("A history file is needed for the trend report");
+        }
+    }
+
+    // Write the machine readable reports
+    const reports = parser.writeReports(logData, options);
+    if(reports.length > 0){
+        logger.header("Exporting Reports", true);
+        for(const report of reports){
+            logger.log(`Wrote ${report.format} report to ${report.filePath}`);
+        }
+    }
+
+    // Fail the run if the logs went over budget
+    const violations = parser.checkBudgets(baselineList, options, baselineEntries);
+    if(violations){
+        printBudgetViolations(violations);
+        if(violations.length > 0) process.exitCode = exitCodes.budgetExceeded;
+    }
+
+    // A log which could not be read makes every count above incomplete, so it fails the run whatever the budgets say
+    if(logData.failedSources.length > 0){
+        logger.header("Unreadable Logs", true);
+        for(const failed of logData.failedSources){
+            logger.error(failed.message);
+        }
+        process.exitCode = exitCodes.failure;
+    }
+
+    if(settings.serve?.enabled){
+        serve(logData);
+    }
+}
+
+
+
+// ========================= Runtime Execution =========================
+
+if(!settings.quiet) console.clear();
+
+// Follow a live log, or parse the files
+Promise.resolve()
+    .then(() => {
+        // A broken filter is reported once here, rather than for every log it is tested against
+        parser.getFilterExpression(options);
+
+        if(settings.watch?.file) watch(settings.watch.file);
+        else return run(getFileList());
+    })
+    .catch((err) => {
+        logger.error(err.message ?? String(err));
+        logger.debug(err.stack);
+        if(outputStream?.writable) outputStream.end();
+        process.exitCode = exitCodes.failure;
+    });
\ No newline at end of file
@@ -0,0 +1,309 @@
+// Load dependencies
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const parser = require("./UELogParser.js");
+
+// JSDoc definitions
+
+/**
+ * @typedef DashboardEntry A unique log with the id the dashboard refers to it by
+ * @type {Object}
+ * 
+ * @property {number} id Index of the entry, stable for the lifetime of the server
+ * @property {LogObject} log
+ * @property {string} [sourceFile] File the log came from when the logs are not consolidated
+ * @property {boolean} hidden Whether the filters in the options hide the log
+ */
+
+/**
+ * @typedef LogQuery Query string parameters of /api/logs
+ * @type {Object}
+ * 
+ * @property {string} [type] Comma separated types to include
+ * @property {string} [category] Comma separated categories to include
+ * @property {string} [file] Only include logs from this file
+ * @property {string} [text] Case insensitive text to find in the log or its variants
+ * @property {string} [sort] Field to sort by, one of sortFields
+ * @property {string} [order] "asc" or "desc"
+ * @property {string} [page] Page to return, starting at 1
+ * @property {string} [pageSize] Logs per page
+ * @property {string} [filtered] "false" to include logs hidden by the filters in the options
+ */
+
+
+
+// ========================= Global Variables =========================
+
+/** Page of the browser UI, which only talks to the JSON API */
+const dashboardPath = path.join(__dirname, "UELogParserDashboard.html");
+
+/** Most logs or occurrences returned in one page */
+const maxPageSize = 500;
+
+/** Value of each field /api/logs can sort by */
+const sortFields = {
+    count: (entry) => entry.log.count,
+    type: (entry) => parser.getSeverity(entry.log.type) ?? parser.verbosityLevels.length + 1,
+    category: (entry) => entry.log.category ?? "",
+    message: (entry) => entry.log.message ?? entry.log.logText,
+    firstSeen: (entry) => entry.log.firstSeen?.getTime() ?? 0,
+    lastSeen: (entry) => entry.log.lastSeen?.getTime() ?? 0,
+    owner: (entry) => entry.log.owner ?? ""
+};
+
+
+
+// ========================= Function Definitions =========================
+
+/**
+ * @function getDashboardEntries
+ * @description Flattens the unique logs of a log info into entries with ids
+ * 
+ * @param {LogInfo} logData
+ * @param {ParserOptions} [options]
+ * 
+ * @returns {Array.<DashboardEntry>}
+ */
+function getDashboardEntries(logData, options){
+    options = parser.resolveOptions(options);
+    const infoList = options.textParsing.consolidate ? [logData] : logData.dataList;
+
+    const entries = [];
+    for(const info of infoList){
+        for(const log of info.uniqueList){
+            const rangeLog = parser.filterLogByRange(log, options);
+            entries.push({
+                id: entries.length,
+                log,
+                sourceFile: info.sourceFile,
+                hidden: !rangeLog || parser.filterLog(rangeLog, options)
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * @function getPage
+ * @description Reads the page and page size from a query, clamped to sensible values
+ * 
+ * @param {{page: (string|undefined), pageSize: (string|undefined)}} query
+ * @param {number} defaultPageSize
+ * 
+ * @returns {{page: number, pageSize: number}}
+ */
+function getPage(query, defaultPageSize){
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(maxPageSize, Math.max(1, parseInt(query.pageSize, 10) || defaultPageSize));
+    return { page, pageSize };
+}
+
+/**
+ * @function getLogSummary
+ * @description Reduces a log to the fields shown in the table of the dashboard
+ * 
+ * @param {DashboardEntry} entry
+ * 
+ * @returns {Object}
+ */
+function getLogSummary(entry){
+    const { log } = entry;
+    return {
+        id: entry.id,
+        sourceFile: entry.sourceFile,
+        hidden: entry.hidden,
+        category: log.category,
+        type: log.type,
+        message: log.message ?? log.logText,
+        count: log.count,
+        firstSeen: log.firstSeen,
+        lastSeen: log.lastSeen,
+        owner: log.owner,
+        fingerprint: log.fingerprint,
+        variantCount: log.variants?.length ?? 1,
+        assets: log.assets,
+        sourceLocations: log.sourceLocations
+    };
+}
+
+/**
+ * @function queryLogs
+ * @description Filters, sorts and pages the dashboard entries for /api/logs
+ * 
+ * @param {Array.<DashboardEntry>} entries
+ * @param {LogQuery} query
+ * 
+ * @returns {{total: number, page: number, pageSize: number, logs: Array.<Object>}}
+ */
+function queryLogs(entries, query){
+    const toList = (value) => (value ?? "").split(",").map(item => item.trim()).filter(item => item !== "");
+    const types = toList(query.type);
+    const categories = toList(query.category).map(category => category.replace(/^Log/, ""));
+    const text = (query.text ?? "").trim().toLowerCase();
+
+    const getSortValue = sortFields[query.sort ?? "count"];
+    if(!getSortValue){
+        throw new Error(`Unknown sort field ${query.sort}, expected one of ${Object.keys(sortFields).join(", ")}`);
+    }
+    const direction = (query.order ?? "desc") === "asc" ? 1 : -1;
+
+    const matching = entries.filter(entry => {
+        const { log } = entry;
+        if(query.filtered !== "false" && entry.hidden) return false;
+        if(types.length > 0 && !types.includes(log.type)) return false;
+        if(categories.length > 0 && !categories.includes(log.category ?? "general")) return false;
+        if(query.file && entry.sourceFile !== query.file) return false;
+        if(text && !(log.variants ?? [log.logText]).concat(log.message ?? []).some(variant => variant.toLowerCase().includes(text))) return false;
+        return true;
+    });
+
+    matching.sort((a, b) => {
+        const valueA = getSortValue(a);
+        const valueB = getSortValue(b);
+        const compared = typeof(valueA) === "string" ? valueA.localeCompare(valueB) : valueA - valueB;
+        return (compared * direction) || (a.id - b.id);
+    });
+
+    const { page, pageSize } = getPage(query, 50);
+    return {
+        total: matching.length,
+        page,
+        pageSize,
+        logs: matching.slice((page - 1) * pageSize, page * pageSize).map(getLogSummary)
+    };
+}
+
+/**
+ * @function getDashboardSummary
+ * @description Totals for the header and category chart of the dashboard
+ * 
+ * @param {LogInfo} logData
+ * @param {Array.<DashboardEntry>} entries
+ * @param {ParserOptions} [options]
+ * 
+ * @returns {Object}
+ */
+function getDashboardSummary(logData, entries, options){
+    options = parser.resolveOptions(options);
+    const visible = entries.filter(entry => !entry.hidden);
+    const sumBy = (list, getKey) => {
+        const totals = {};
+        for(const entry of list){
+            const key = getKey(entry.log) ?? "general";
+            totals[key] = (totals[key] ?? 0) + entry.log.count;
+        }
+        return totals;
+    };
+
+    return {
+        consolidated: options.textParsing.consolidate,
+        files: options.textParsing.consolidate ? [] : logData.dataList.map(info => info.sourceFile),
+        totalCount: entries.reduce((total, entry) => total + entry.log.count, 0),
+        uniqueCount: entries.length,
+        visibleCount: visible.length,
+        types: sumBy(entries, log => log.type),
+        categories: sumBy(entries, log => log.category),
+        visibleCategories: sumBy(visible, log => log.category)
+    };
+}
+
+/**
+ * @function sendJson
+ * 
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {*} body
+ */
+function sendJson(response, status, body){
+    response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * @function createDashboardServer
+ * @description Creates an HTTP server with a JSON query API over parsed logs and a browser UI for it, call listen to start it
+ * 
+ * Routes are / for the UI, /api/summary, /api/logs for a filtered, sorted page of logs, /api/logs/<id> for
+ * everything known about one log, and /api/logs/<id>/siblings for a page of its occurrences.
+ * 
+ * @param {LogInfo} logData
+ * @param {ParserOptions} [options]
+ * 
+ * @returns {http.Server}
+ */
+function createDashboardServer(logData, options){
+    options = parser.resolveOptions(options);
+    const logger = options.logger;
+    const entries = getDashboardEntries(logData, options);
+    const summary = getDashboardSummary(logData, entries, options);
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, "http://localhost");
+        const query = Object.fromEntries(url.searchParams);
+        logger.debug(`${request.method} ${url.pathname}${url.search}`);
+
+        if(request.method !== "GET"){
+            sendJson(response, 405, { error: "Only GET requests are supported" });
+            return;
+        }
+
+        try{
+            if(url.pathname === "/" || url.pathname === "/index.html"){
+                response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+                fs.createReadStream(dashboardPath).pipe(response);
+                return;
+            }
+            if(url.pathname === "/api/summary"){
+                sendJson(response, 200, summary);
+                return;
+            }
+            if(url.pathname === "/api/logs"){
+                sendJson(response, 200, queryLogs(entries, query));
+                return;
+            }
+
+            const logRoute = url.pathname.match(/^\/api\/logs\/(?<id>\d+)(?<siblings>\/siblings)?$/);
+            const entry = logRoute ? entries[parseInt(logRoute.groups.id, 10)] : undefined;
+            if(!entry){
+                sendJson(response, 404, { error: `Nothing found at ${url.pathname}` });
+                return;
+            }
+
+            if(logRoute.groups.siblings){
+                const occurrences = parser.getOccurrences(entry.log);
+                const { page, pageSize } = getPage(query, 100);
+                sendJson(response, 200, {
+                    total: occurrences.length,
+                    count: entry.log.count,
+                    page,
+                    pageSize,
+                    occurrences: occurrences.slice((page - 1) * pageSize, page * pageSize)
+                });
+                return;
+            }
+
+            const { siblings, ...log } = entry.log;
+            sendJson(response, 200, {
+                ...getLogSummary(entry),
+                log,
+                siblingCount: siblings?.length ?? 0,
+                display: parser.getLogDisplayString(entry.log, options)
+            });
+        }
+        catch(err){
+            sendJson(response, 400, { error: err.message });
+        }
+    });
+}
+
+
+
+// ========================= Module Exports =========================
+
+module.exports = {
+    createDashboardServer,
+    getDashboardEntries,
+    getDashboardSummary,
+    queryLogs
+};
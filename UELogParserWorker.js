@@ -0,0 +1,53 @@
+// Load dependencies
+const { parentPort, workerData } = require("worker_threads");
+const parser = require("./UELogParser.js");
+
+
+
+// ========================= Global Variables =========================
+
+/** What the parser logged while parsing the current file, passed back with its results */
+let logs = [];
+
+/** Logger which keeps each message so the main thread can print them in file order */
+const logger = {};
+for(const method of Object.keys(parser.silentLogger)){
+    logger[method] = (...args) => logs.push({ method, args });
+}
+
+/** Options the main thread parses with, without the functions which can not be sent to a worker */
+const options = parser.resolveOptions({ ...workerData.options, logger });
+
+
+
+// ========================= Function Definitions =========================
+
+/**
+ * @function parseSource
+ * @description Parses one log on its own, reporting the bytes read as it goes
+ * 
+ * @param {LogSource} source 
+ * 
+ * @returns {Promise.<{fileInfo: LogInfo, failedSources: Array.<FailedSource>}>} The log info of the file, with its unique logs in the order they first appeared, and whether it was cut short
+ */
+async function parseSource(source){
+    const logData = parser.createLogInfo();
+    const stream = parser.openLogSource(source, (bytes) => parentPort.postMessage({ kind: "progress", bytes }));
+    const fileInfo = await parser.parseStream(stream, source.name, options, logData);
+    return { fileInfo, failedSources: logData.failedSources };
+}
+
+
+
+// ========================= Runtime Execution =========================
+
+parentPort.on("message", async ({ index, source }) => {
+    logs = [];
+    try{
+        const { fileInfo, failedSources } = await parseSource(source);
+        parentPort.postMessage({ kind: "result", index, fileInfo, failedSources, logs });
+    }
+    catch(err){
+        parentPort.postMessage({ kind: "result", index, error: err.message, logs });
+    }
+});
@@ -0,0 +1,832 @@
+// Load dependencies
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const test = require("node:test");
+const assert = require("assert");
+const childProcess = require("child_process");
+const parser = require("../UELogParser.js");
+
+
+
+// ========================= Library =========================
+
+test("requiring the library prints nothing and writes no files", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    const output = childProcess.execFileSync(process.execPath, ["-e", `require(${JSON.stringify(require.resolve("../UELogParser.js"))})`], { cwd: directory, encoding: "utf-8" });
+
+    assert.strictEqual(output, "");
+    assert.deepStrictEqual(fs.readdirSync(directory), []);
+});
+
+test("each parse returns a new log info", () => {
+    const first = parser.parseLogText("LogTemp: Warning: First", {});
+    const second = parser.parseLogText("LogTemp: Warning: Second", {});
+
+    assert.deepStrictEqual(first.uniqueList.map(log => log.message), ["First"]);
+    assert.deepStrictEqual(second.uniqueList.map(log => log.message), ["Second"]);
+    assert.strictEqual(parser.parseText("LogTemp: Warning: Third").totalCount, 1);
+});
+
+
+
+// ========================= Log References =========================
+
+test("getLogReferences finds packages and source files", () => {
+    const { assets, sourceLocations } = parser.getLogReferences("Failed to load ../../Content/Maps/Arena.umap from [D:\\Build\\Source\\Foo.cpp:123] and Bar.h(45,2)");
+    assert.deepStrictEqual(assets, ["/Game/Maps/Arena"]);
+    assert.deepStrictEqual(sourceLocations, [{ file: "D:/Build/Source/Foo.cpp", line: 123 }, { file: "Bar.h", line: 45 }]);
+});
+
+test("getLogReferences does not backtrack on long tokens without an extension", () => {
+    const start = Date.now();
+    for(const token of ["a".repeat(20000), "0x" + "0123456789abcdef".repeat(1250), "a_b/".repeat(5000)]){
+        parser.getLogReferences(`LogNet: Warning: Packet dump ${token}`);
+    }
+    assert.ok(Date.now() - start < 1000, `Took ${Date.now() - start}ms`);
+});
+
+test("groupLogsByReference shows each asset a variant which mentions it", () => {
+    const text = [
+        "LogStreaming: Warning: Failed to load /Game/Maps/A",
+        "LogStreaming: Warning: Failed to load /Game/Maps/B",
+        "LogStreaming: Warning: Failed to load /Game/Maps/B"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {});
+    const groups = parser.groupLogsByReference(logData.uniqueList, "asset");
+    assert.strictEqual(logData.uniqueList.length, 1);
+    assert.strictEqual(groups["/Game/Maps/A"].uniqueList[0].logText, "LogStreaming: Warning: Failed to load /Game/Maps/A");
+    assert.strictEqual(groups["/Game/Maps/B"].uniqueList[0].logText, "LogStreaming: Warning: Failed to load /Game/Maps/B");
+    assert.strictEqual(groups["/Game/Maps/B"].uniqueList[0].message, "Failed to load /Game/Maps/B");
+});
+
+
+
+// ========================= Fingerprints =========================
+
+test("getFingerprint masks addresses, package paths and numbers", () => {
+    const { fingerprint, maskedValues } = parser.getFingerprint("LogTemp: Warning: Object 0x7ffd1234abcd at /Game/Maps/Arena.Arena took 12.5 ms on frame 42");
+
+    assert.strictEqual(fingerprint, "LogTemp: Warning: Object <address> at <path> took <number> ms on frame <number>");
+    assert.deepStrictEqual(maskedValues, { address: ["0x7ffd1234abcd"], path: ["/Game/Maps/Arena.Arena"], number: ["12.5", "42"] });
+});
+
+test("logs which differ only in masked values are grouped with their variants", () => {
+    const text = [
+        "LogTemp: Warning: Took 12 ms to load /Game/Maps/A",
+        "LogTemp: Warning: Took 250 ms to load /Game/Maps/B",
+        "LogTemp: Warning: Object 0x1f is pending kill"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {});
+    const grouped = logData.uniqueList.find(log => log.count === 2);
+
+    assert.strictEqual(logData.uniqueList.length, 2);
+    assert.strictEqual(grouped.fingerprint, "LogTemp: Warning: Took <number> ms to load <path>");
+    assert.deepStrictEqual(grouped.variants, ["LogTemp: Warning: Took 12 ms to load /Game/Maps/A", "LogTemp: Warning: Took 250 ms to load /Game/Maps/B"]);
+    assert.deepStrictEqual(grouped.maskedValues.number, ["12", "250"]);
+});
+
+test("getFingerprint leaves logs unmasked when fingerprints are disabled", () => {
+    const logText = "LogTemp: Warning: Took 12 ms";
+    assert.strictEqual(parser.getFingerprint(logText, { textParsing: { fingerprint: { enabled: false } } }).fingerprint, logText);
+});
+
+
+
+// ========================= Severity =========================
+
+test("getSeverity ranks the verbosity levels from Fatal down, whatever their case", () => {
+    assert.deepStrictEqual(parser.verbosityLevels.map(parser.getSeverity), [1, 2, 3, 4, 5, 6, 7]);
+    assert.strictEqual(parser.getSeverity("warning"), parser.getSeverity("Warning"));
+    assert.strictEqual(parser.getSeverity("very_verbose"), 7);
+    assert.strictEqual(parser.getSeverity("Loud"), undefined);
+});
+
+test("the minimum severity hides less severe logs, with overrides per category", () => {
+    const text = [
+        "LogTemp: Fatal: F",
+        "LogTemp: Error: E",
+        "LogTemp: Warning: W",
+        "LogTemp: Display: D",
+        "LogNet: Display: ND",
+        "LogNet: Log: NL"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {});
+    const filtered = parser.filterLogList(logData.uniqueList, { display: { filters: { severity: { minimum: "warning", categories: { LogNet: "Display" } } } } });
+
+    assert.deepStrictEqual(filtered.uniqueList.map(log => log.message).sort(), ["E", "F", "ND", "W"]);
+});
+
+test("the minimum severity keeps logs without a verbosity only if allowed", () => {
+    const log = { category: "Temp", type: undefined, message: "Untyped" };
+    const getOptions = (allowUndefined) => ({ display: { filters: { severity: { minimum: "Error", allowUndefined } } } });
+
+    assert.strictEqual(parser.filterLog(log, getOptions(true)), false);
+    assert.strictEqual(parser.filterLog(log, getOptions(false)), true);
+});
+
+
+
+// ========================= Filter Expressions =========================
+
+const filterLogs = [
+    { category: "Net", type: "Warning", message: "Connection timed out", count: 12 },
+    { category: "Net", type: "Error", message: "Socket closed", count: 1 },
+    { category: "Temp", type: "Error", message: "Timed out waiting", count: 3 },
+    { category: "NetTraffic", type: "Display", message: "Packet sent", count: 50 }
+];
+const getFilteredMessages = (expression, profiles) => filterLogs.filter(parser.parseFilterExpression(expression, profiles)).map(log => log.message);
+
+test("filter expressions bind and tighter than or, not tightest, with parentheses to group", () => {
+    assert.deepStrictEqual(getFilteredMessages("category:Net or type:Error and message:/timed/i"), ["Connection timed out", "Socket closed", "Timed out waiting"]);
+    assert.deepStrictEqual(getFilteredMessages("(category:Net or type:Error) and message:/timed/i"), ["Connection timed out", "Timed out waiting"]);
+    assert.deepStrictEqual(getFilteredMessages("not category:Net* type:Error"), ["Timed out waiting"]);
+    assert.deepStrictEqual(getFilteredMessages("category:Net* severity>=Warning count>5"), ["Connection timed out"]);
+    assert.deepStrictEqual(getFilteredMessages("\"TIMED OUT\""), ["Connection timed out", "Timed out waiting"]);
+});
+
+test("filter expressions can refer to profiles, but not to themselves", () => {
+    const profiles = { net: "category:Net*", loud: { expression: "profile:net severity>=Warning" }, loop: "profile:loop" };
+
+    assert.deepStrictEqual(getFilteredMessages("profile:loud", profiles), ["Connection timed out", "Socket closed"]);
+    assert.throws(() => getFilteredMessages("profile:loop", profiles), /Profile loop refers to itself/);
+    assert.throws(() => getFilteredMessages("profile:quiet", profiles), /Unknown profile quiet/);
+});
+
+test("invalid filter expressions report where they went wrong", () => {
+    assert.throws(() => parser.parseFilterExpression("category:Net and"), /Expected a term at the end of the filter "category:Net and"/);
+    assert.throws(() => parser.parseFilterExpression("(type:Error"), /Expected \) at the end/);
+    assert.throws(() => parser.parseFilterExpression("type:Error )"), /Unexpected \) at character 12/);
+    assert.throws(() => parser.parseFilterExpression("colour:red"), /Unknown field colour/);
+    assert.throws(() => parser.parseFilterExpression("severity>=Loud"), /Unknown severity Loud/);
+    assert.throws(() => parser.parseFilterExpression("count>x"), /Expected a number of occurrences but got x/);
+});
+
+
+
+// ========================= Baselines =========================
+
+test("compareToBaseline finds new, resolved, increased and decreased logs against a saved baseline", () => {
+    const baselineLogs = parser.parseLogText([
+        "LogTemp: Warning: Gone",
+        "LogTemp: Warning: Stays",
+        "LogTemp: Warning: Grows",
+        "LogTemp: Warning: Shrinks",
+        "LogTemp: Warning: Shrinks"
+    ].join("\n"), {}).uniqueList;
+    const currentLogs = parser.parseLogText([
+        "LogTemp: Warning: Appears",
+        "LogTemp: Warning: Stays",
+        "LogTemp: Warning: Grows",
+        "LogTemp: Warning: Grows",
+        "LogTemp: Warning: Shrinks"
+    ].join("\n"), {}).uniqueList;
+
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "Baseline.json");
+    parser.saveBaseline(baselineLogs, filePath);
+    const comparison = parser.compareToBaseline(currentLogs, parser.loadBaseline(filePath));
+    const getMessages = (entries) => entries.map(entry => entry.message);
+
+    assert.deepStrictEqual(getMessages(comparison.newEntries), ["Appears"]);
+    assert.deepStrictEqual(getMessages(comparison.resolvedEntries), ["Gone"]);
+    assert.deepStrictEqual(comparison.increasedEntries.map(entry => [entry.message, entry.baselineCount, entry.currentCount]), [["Grows", 1, 2]]);
+    assert.deepStrictEqual(comparison.decreasedEntries.map(entry => [entry.message, entry.baselineCount, entry.currentCount]), [["Shrinks", 2, 1]]);
+    assert.strictEqual(comparison.unchangedCount, 1);
+});
+
+test("compareToBaseline does not report baseline logs hidden by the filters as resolved", () => {
+    const baselineEntries = [
+        { fingerprint: "LogTemp: Warning: Gone", category: "Temp", type: "Warning", message: "Gone", count: 1 },
+        { fingerprint: "LogTemp: Display: Hidden", category: "Temp", type: "Display", message: "Hidden", count: 1 }
+    ];
+    const comparison = parser.compareToBaseline([], baselineEntries, { display: { filters: { type: { ignore: false, whitelist: ["Warning"] } } } });
+
+    assert.deepStrictEqual(comparison.resolvedEntries.map(entry => entry.message), ["Gone"]);
+});
+
+test("loadBaseline rejects files without an entries list", () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "Baseline.json");
+    fs.writeFileSync(filePath, "{}");
+    assert.throws(() => parser.loadBaseline(filePath), /has no entries list/);
+});
+
+
+
+// ========================= History =========================
+
+test("getTrendReport marks logs as new, regressed, fixed or active", () => {
+    const runs = [
+        ["Steady", "Back", "Gone", "Ancient"],
+        ["Steady", "Gone"],
+        ["Steady", "Back"],
+        ["Steady", "Back", "Back", "Fresh"]
+    ];
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "History", "Runs.jsonl");
+    runs.forEach((messages, index) => {
+        const logData = parser.parseLogText(messages.map(message => `LogTemp: Warning: ${message}`).join("\n"), {});
+        parser.appendHistory(filePath, parser.createHistoryRecord(logData.uniqueList, `Build ${index + 1}`, new Date(Date.UTC(2026, 0, index + 1))));
+    });
+    const history = parser.loadHistory(filePath);
+    const getStatuses = (report) => Object.fromEntries(report.entries.map(entry => [entry.message, entry.status]));
+
+    const report = parser.getTrendReport(history);
+    assert.deepStrictEqual(getStatuses(report), { Steady: "active", Back: "regressed", Gone: "fixed", Ancient: "fixed", Fresh: "new" });
+    assert.deepStrictEqual(report.entries.find(entry => entry.message === "Back").counts, [1, 0, 1, 2]);
+    assert.deepStrictEqual(report.categories.Temp.warnings, [4, 2, 2, 4]);
+
+    // Logs fixed before the recent runs are left out, and a log back since before them is active again
+    assert.deepStrictEqual(getStatuses(parser.getTrendReport(history, 2)), { Steady: "active", Back: "regressed", Fresh: "new" });
+    assert.deepStrictEqual(getStatuses(parser.getTrendReport(history, 1)), { Steady: "active", Back: "active", Fresh: "new" });
+});
+
+test("loadHistory reports the line of a broken record", () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "Runs.jsonl");
+    fs.writeFileSync(filePath, "{}\n{broken\n");
+
+    assert.throws(() => parser.loadHistory(filePath), /Line 2 of history file/);
+    assert.deepStrictEqual(parser.loadHistory(filePath + ".missing"), []);
+});
+
+
+
+// ========================= Reports =========================
+
+test("getCsvReport quotes fields with commas, quotes and line breaks", () => {
+    const logData = parser.parseLogText("LogTemp: Warning: Say \"hi\", then leave", {});
+    logData.sourceFile = "Multi\nLine.log";
+    const rows = parser.getCsvReport([logData]).split("\r\n");
+
+    assert.strictEqual(rows[0], "sourceFile,owner,category,type,count,firstSeen,lastSeen,firstFrame,lastFrame,message,fingerprint");
+    assert.strictEqual(rows[1], '"Multi\nLine.log",,Temp,Warning,1,,,,,"Say ""hi"", then leave","LogTemp: Warning: Say ""hi"", then leave"');
+});
+
+test("getJUnitReport escapes markup and drops characters XML does not allow", () => {
+    const logData = parser.parseLogText("LogTemp: Error: <Actor> & \"Friend's\"\u0001 failed", {});
+    const report = parser.getJUnitReport([logData]);
+
+    assert.ok(report.includes('<testcase classname="LogTemp" name="&lt;Actor&gt; &amp; &quot;Friend&apos;s&quot; failed">'), report);
+    assert.ok(!report.includes("\u0001"));
+});
+
+test("getJUnitReport writes a passing testcase for logs without errors or warnings", () => {
+    const report = parser.getJUnitReport([parser.parseLogText("LogTemp: Display: All good", {})]);
+    assert.ok(report.includes('<testsuites name="UELogParser" tests="1" failures="0" errors="0">'), report);
+    assert.ok(report.includes('<testcase classname="UELogParser" name="No errors or warnings"/>'), report);
+});
+
+test("writeReports resolves the report paths from the base directory", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    const logData = parser.parseLogText("LogTemp: Warning: Written", {});
+    const written = parser.writeReports(logData, { export: { csv: "Report.csv", junit: "Report.xml" } }, directory);
+
+    assert.deepStrictEqual(written, [
+        { format: "csv", filePath: path.join(directory, "Report.csv") },
+        { format: "junit", filePath: path.join(directory, "Report.xml") }
+    ]);
+    assert.ok(fs.readFileSync(path.join(directory, "Report.csv"), "utf-8").includes("Written"));
+});
+
+
+
+// ========================= Ownership =========================
+
+test("the last matching ownership rule wins, and logs matching none are unowned", () => {
+    const rules = parser.parseOwnershipRules([
+        "# Comments and blank lines are skipped",
+        "",
+        "category:Net*           @networking",
+        "message:/Accessed None/i @blueprints",
+        "path:/Game/Characters/  @characters  @art"
+    ].join("\n"));
+    const text = [
+        "LogNetTraffic: Warning: Dropped packet",
+        "LogNet: Warning: accessed none on replication",
+        "LogScript: Warning: Accessed None reading /Game/Characters/Hero",
+        "LogScript: Warning: Accessed None calling Tick on /Game/Maps/Arena",
+        "LogTemp: Warning: Missing /Content/Game/Characters/Hero",
+        "LogTemp: Warning: Nobody owns this"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {});
+    parser.assignOwners(logData.uniqueList, rules);
+    const getOwner = (message) => logData.uniqueList.find(log => log.message === message).owner;
+
+    assert.strictEqual(getOwner("Dropped packet"), "@networking");
+    assert.strictEqual(getOwner("accessed none on replication"), "@blueprints");
+    assert.strictEqual(getOwner("Accessed None reading /Game/Characters/Hero"), "@characters @art");
+    assert.strictEqual(getOwner("Accessed None calling Tick on /Game/Maps/Arena"), "@blueprints");
+    assert.strictEqual(getOwner("Missing /Content/Game/Characters/Hero"), "unowned");
+    assert.strictEqual(getOwner("Nobody owns this"), "unowned");
+
+    const groups = parser.groupLogsByOwner(logData.uniqueList);
+    assert.strictEqual(Object.keys(groups).at(-1), "unowned");
+    assert.strictEqual(groups.unowned.uniqueList.length, 2);
+});
+
+test("parseOwnershipRules reports the line of invalid rules", () => {
+    assert.throws(() => parser.parseOwnershipRules("category:Net @networking\nowner @nobody", "Owners.txt"), /line 2 of Owners\.txt/);
+    assert.throws(() => parser.parseOwnershipRules("message:/(/ @broken", "Owners.txt"), /Invalid message pattern on line 1/);
+});
+
+
+
+// ========================= Suppressions =========================
+
+const suppressionText = JSON.stringify([
+    { category: "Temp", message: "/Failed to load/", reason: "Streamed in later", expires: "2026-01-31" },
+    { fingerprint: "LogNet: Warning: Actor BP_Enemy_C_<actorSuffix> has no owner", reason: "Spawned before possession" },
+    { message: "Fixed long ago", reason: "No longer logged" }
+]);
+const suppressionLog = [
+    "LogTemp: Warning: Failed to load /Game/Maps/Arena",
+    "LogTemp: Warning: Failed to load /Game/Maps/Arena",
+    "LogNet: Warning: Actor BP_Enemy_C_12 has no owner",
+    "LogNet: Warning: Actor BP_Enemy_C_13 has no owner"
+].join("\n");
+
+test("suppressions expire at the end of their expiry date", () => {
+    const [suppression] = parser.parseSuppressions(suppressionText);
+    const log = parser.parseLogText(suppressionLog, {}).uniqueList.find(log => log.category === "Temp");
+
+    assert.strictEqual(parser.getLogSuppression(log, [suppression], new Date("2026-01-31T23:00:00Z")), suppression);
+    assert.strictEqual(parser.getLogSuppression(log, [suppression], new Date("2026-02-01T00:00:00Z")), undefined);
+});
+
+test("getSuppressionReport counts what each suppression matched and finds the stale ones", () => {
+    const options = { suppressions: { entries: parser.parseSuppressions(suppressionText) } };
+    const logData = parser.parseLogText(suppressionLog, {});
+    const report = parser.getSuppressionReport(logData.uniqueList, options, new Date("2026-03-01T00:00:00Z"));
+
+    assert.deepStrictEqual(report.map(result => [result.expired, result.stale, result.uniqueCount, result.occurrenceCount, result.suppressedCount]), [
+        [true, false, 1, 2, 0],
+        [false, false, 1, 2, 2],
+        [false, true, 0, 0, 0]
+    ]);
+});
+
+test("parseSuppressions requires a reason and a valid expiry date", () => {
+    assert.throws(() => parser.parseSuppressions([{ message: "Foo" }], "Suppressions.json"), /Suppression 1 of Suppressions\.json needs a reason/);
+    assert.throws(() => parser.parseSuppressions([{ message: "Foo", reason: "Bar", expires: "someday" }]), /invalid expiry date: someday/);
+    assert.throws(() => parser.parseSuppressions("{}"), /should contain an array/);
+});
+
+
+
+// ========================= Line Parsers =========================
+
+test("clang include chains are attached to the diagnostic they lead into", () => {
+    const text = [
+        "/src/A.cpp:10:5: warning: unused variable 'x'",
+        "In file included from /src/B.cpp:3:",
+        "In file included from /src/Inc.h:7:",
+        "/src/Deep.h:20:1: error: unknown type name 'Foo'"
+    ].join("\n");
+    const logData = parser.parseLogText(text, { textParsing: { lineParser: "clang", multiLine: { enabled: true } } });
+    const warning = logData.uniqueList.find(log => log.type === "Warning");
+    const error = logData.uniqueList.find(log => log.type === "Error");
+
+    assert.strictEqual(warning.continuation, undefined);
+    assert.deepStrictEqual(error.continuation, ["In file included from /src/B.cpp:3:", "In file included from /src/Inc.h:7:"]);
+});
+
+test("compiler fatal errors are read as Fatal", () => {
+    const msvc = parser.parseLogText("Foo.cpp(12): fatal error C1083: Cannot open include file: 'Bar.h'", { textParsing: { lineParser: "msvc" } });
+    const clang = parser.parseLogText("/src/Foo.cpp:12:10: fatal error: 'Bar.h' file not found", { textParsing: { lineParser: "clang" } });
+
+    assert.strictEqual(msvc.uniqueList[0].type, "Fatal");
+    assert.strictEqual(clang.uniqueList[0].type, "Fatal");
+});
+
+
+test("logs without a category are counted as general, including when files are merged", () => {
+    parser.registerLineParser({ name: "uncategorised", parseLine: (line) => ({ logText: line.trim(), type: "Warning", message: line.trim() }) });
+    const fileInfo = parser.parseLogText("First\nSecond\nFirst", { textParsing: { lineParser: "uncategorised" } });
+    const logData = parser.mergeFileLogInfo(parser.createLogInfo(), fileInfo);
+
+    assert.strictEqual(fileInfo.general, 3);
+    assert.strictEqual(logData.general, 3);
+});
+
+
+
+// ========================= Multi Line Logs =========================
+
+/**
+ * @function getEnsureLines
+ * @description Writes the lines of a handled ensure as the engine prints them
+ * 
+ * @param {string} prefix Timestamp and frame of the ensure
+ * @param {Array.<string>} functions Functions of the callstack, from the top
+ * @param {number} address First address of the callstack, which changes between runs
+ * 
+ * @returns {Array.<string>}
+ */
+function getEnsureLines(prefix, functions, address){
+    return [
+        `${prefix}LogOutputDevice: Error: === Handled ensure: ===`,
+        `${prefix}LogOutputDevice: Error: Ensure condition failed: Foo != nullptr [File:D:/Build/Source/Foo.cpp] [Line: 123] `,
+        `${prefix}LogOutputDevice: Error: Stack: `,
+        ...functions.map((name, i) => `${prefix}LogOutputDevice: Error: [Callstack] 0x${(address + i).toString(16).padStart(16, "0")} UE4Editor-MyGame.dll!${name} [D:\\Build\\Source\\Game.cpp:${i + 1}]`)
+    ];
+}
+
+test("ensures are assembled with their condition and callstack, and grouped by the top of the stack", () => {
+    const text = [
+        ...getEnsureLines("[2021.03.10-12.34.57:000][ 11]", ["FDebug::EnsureFailed()", "AMyActor::Tick()", "AActor::TickActor()"], 0x7ffb4f8a1234),
+        ...getEnsureLines("[2021.03.10-12.34.58:000][ 20]", ["FDebug::EnsureFailed()", "AMyActor::Tick()", "AActor::TickActor()"], 0x7ffb4f8a9990),
+        ...getEnsureLines("[2021.03.10-12.34.59:000][ 30]", ["FDebug::EnsureFailed()", "AOtherActor::Tick()", "AActor::TickActor()"], 0x7ffb4f8a1234),
+        "[2021.03.10-12.35.00:000][ 31]LogTemp: Warning: After"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {});
+    const ensures = logData.uniqueList.filter(log => log.entryKind === "ensure").sort((a, b) => b.count - a.count);
+
+    assert.strictEqual(logData.totalCount, 4);
+    assert.deepStrictEqual(ensures.map(log => [log.fingerprint, log.count]), [
+        ["LogOutputDevice: Error: ensure at AMyActor::Tick() < AActor::TickActor()", 2],
+        ["LogOutputDevice: Error: ensure at AOtherActor::Tick() < AActor::TickActor()", 1]
+    ]);
+    assert.deepStrictEqual(ensures[0].ensure, { condition: "Foo != nullptr", file: "D:/Build/Source/Foo.cpp", line: 123 });
+    assert.deepStrictEqual(ensures[0].callstack.map(frame => [frame.module, frame.function, frame.file, frame.line]), [
+        ["UE4Editor-MyGame.dll", "FDebug::EnsureFailed()", "D:\\Build\\Source\\Game.cpp", 1],
+        ["UE4Editor-MyGame.dll", "AMyActor::Tick()", "D:\\Build\\Source\\Game.cpp", 2],
+        ["UE4Editor-MyGame.dll", "AActor::TickActor()", "D:\\Build\\Source\\Game.cpp", 3]
+    ]);
+});
+
+test("script stacks and wrapped lines are attached to the log before them", () => {
+    const text = [
+        "[2021.03.10-12.34.56:789][ 10]LogTemp: Warning: Plain warning",
+        "that wraps onto a second line",
+        "[2021.03.10-12.34.59:000][ 30]LogScript: Warning: Accessed None trying to read property Foo",
+        "[2021.03.10-12.34.59:000][ 30]LogScript: Warning: Script Stack (2 frames):",
+        "BP_Enemy_C.ExecuteUbergraph_BP_Enemy",
+        "BP_Enemy_C.ReceiveTick",
+        "[2021.03.10-12.35.00:000][ 31]LogTemp: Warning: After"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {});
+    const getLog = (message) => logData.uniqueList.find(log => log.message === message);
+
+    assert.strictEqual(logData.totalCount, 3);
+    assert.deepStrictEqual(getLog("Plain warning").continuation, ["that wraps onto a second line"]);
+    assert.deepStrictEqual(getLog("Accessed None trying to read property Foo").scriptStack.map(frame => frame.function), ["BP_Enemy_C.ExecuteUbergraph_BP_Enemy", "BP_Enemy_C.ReceiveTick"]);
+    assert.strictEqual(getLog("After").continuation, undefined);
+});
+
+
+
+// ========================= Phases =========================
+
+const phaseLog = [
+    "[2021.03.10-12.00.01:000][  0]LogTemp: Warning: Shader cache missing",
+    "[2021.03.10-12.00.02:000][  0]LogLoad: (Engine Initialization) Total time: 12.34 seconds",
+    "[2021.03.10-12.00.03:000][  0]LogTemp: Warning: Shader cache missing",
+    "[2021.03.10-12.00.05:000][  0]LogLoad: LoadMap: /Game/Maps/Arena",
+    "[2021.03.10-12.00.06:000][  1]LogStreaming: Warning: Failed to load /Game/Maps/Arena_Lighting",
+    "[2021.03.10-12.00.07:000][  2]LogWorld: Bringing World /Game/Maps/Arena.Arena up for play (max tick rate 60)",
+    "[2021.03.10-12.00.08:000][  3]LogScript: Warning: Accessed None trying to read property Foo",
+    "[2021.03.10-12.00.09:000][  4]LogScript: Warning: Accessed None trying to read property Foo",
+    "[2021.03.10-12.00.11:000][  6]LogExit: Preparing to exit.",
+    "[2021.03.10-12.00.12:000][  6]LogTemp: Error: Leaked object"
+].join("\n");
+
+test("logs are attributed to the phase their file was in, counted per phase", () => {
+    const logData = parser.parseLogText(phaseLog, {});
+    const getLog = (message) => logData.uniqueList.find(log => log.message === message);
+
+    assert.deepStrictEqual(getLog("Shader cache missing").phases, { Startup: 1, Running: 1 });
+    assert.deepStrictEqual(getLog("Failed to load /Game/Maps/Arena_Lighting").phases, { "Map Load": 1 });
+    assert.deepStrictEqual(getLog("Accessed None trying to read property Foo").phases, { Gameplay: 2 });
+    assert.deepStrictEqual(getLog("Leaked object").phases, { Shutdown: 1 });
+
+    const groups = parser.groupLogsByPhase(logData.uniqueList, {});
+    assert.deepStrictEqual(Object.keys(groups), ["Startup", "Running", "Map Load", "Gameplay", "Shutdown"]);
+    assert.strictEqual(groups.Gameplay.totalCount, 3);
+});
+
+test("every file starts in the initial phase", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    fs.writeFileSync(path.join(directory, "First.log"), phaseLog);
+    fs.writeFileSync(path.join(directory, "Second.log"), "[2021.03.10-13.00.00:000][  0]LogTemp: Error: Leaked object");
+    const logData = parser.parseLogFiles([path.join(directory, "First.log"), path.join(directory, "Second.log")], { logger: parser.silentLogger });
+
+    assert.deepStrictEqual(logData.uniqueList.find(log => log.message === "Leaked object").phases, { Shutdown: 1, Startup: 1 });
+});
+
+test("phase markers from the options replace the built in ones and are checked", () => {
+    const options = { textParsing: { phases: { initial: "Boot", markers: [{ phase: "Match", category: "Game", message: "/^Match started/" }] } } };
+    const logData = parser.parseLogText("LogTemp: Warning: Early\nLogGame: Match started\nLogTemp: Warning: Late", options);
+
+    assert.deepStrictEqual(logData.uniqueList.map(log => [log.message, log.phase]).filter(([message]) => message !== "Match started"), [["Early", "Boot"], ["Late", "Match"]]);
+    assert.throws(() => parser.parseLogText("LogTemp: Warning: Early", { textParsing: { phases: { markers: [{ phase: "Match" }] } } }), /needs a category or message/);
+});
+
+
+
+// ========================= Log Sources =========================
+
+test("parseLogFiles records the logs it could not read", () => {
+    const logData = parser.parseLogFiles([path.join(__dirname, "Missing.log")]);
+    assert.deepStrictEqual(logData.failedSources.map(failed => failed.path), [path.join(__dirname, "Missing.log")]);
+});
+
+test("loadText records the logs it could not read", () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    fs.writeFileSync(path.join(folder, "Corrupt.log.gz"), "not gzip");
+    fs.writeFileSync(path.join(folder, "Game.log"), "LogTemp: Warning: Kept");
+    try{
+        const failedSources = [];
+        const textContent = parser.loadText([path.join(folder, "Corrupt.log.gz"), path.join(folder, "Game.log")], {}, failedSources);
+
+        assert.deepStrictEqual(Object.keys(textContent), [path.join(folder, "Game.log")]);
+        assert.deepStrictEqual(failedSources.map(failed => failed.path), [path.join(folder, "Corrupt.log.gz")]);
+    }
+    finally{
+        fs.rmSync(folder, { recursive: true });
+    }
+});
+
+
+test("LogInit lines are read into the metadata rather than counted as logs", () => {
+    const text = [
+        "[2021.03.10-12.00.00:000][  0]LogInit: Command Line:  -server -log",
+        "[2021.03.10-12.00.00:000][  0]LogInit: Build Configuration: Development",
+        "[2021.03.10-12.00.01:000][  1]LogNet: Warning: Connection timed out"
+    ].join("\n");
+    const logData = parser.parseLogText(text, {}, "Server.log");
+
+    assert.strictEqual(logData.totalCount, 1);
+    assert.deepStrictEqual(Object.keys(logData.categories), ["Net"]);
+    assert.strictEqual(logData.fileMetadata["Server.log"].commandLine, "-server -log");
+});
+
+/**
+ * @function createZip
+ * @description Writes a zip archive without a zip library, so the tests can build the archives they read
+ * 
+ * @param {string} filePath 
+ * @param {Array.<{name: string, text: (string|Buffer), method: (number|undefined), flags: (number|undefined)}>} files Stored with method 0, or deflated with method 8
+ */
+function createZip(filePath, files){
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for(const file of files){
+        const content = Buffer.from(file.text);
+        const method = file.method ?? 8;
+        const data = method === 8 ? zlib.deflateRawSync(content) : content;
+        const name = Buffer.from(file.name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(file.flags ?? 0, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(zlib.crc32(content), 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(file.flags ?? 0, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(zlib.crc32(content), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    fs.writeFileSync(filePath, Buffer.concat([...localParts, directory, end]));
+}
+
+test("getLogSources orders the backups of a project by when they were started, before its latest log", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    const files = ["Proj.log", "Other.log", "Proj-backup-2021.03.10-12.00.00.log", "Proj-backup-2021.03.09-08.00.00.log.gz"];
+    for(const fileName of files){
+        fs.writeFileSync(path.join(directory, fileName), "");
+    }
+    const sources = parser.getLogSources(files.map(fileName => path.join(directory, fileName)), { logger: parser.silentLogger });
+
+    assert.deepStrictEqual(sources.map(source => source.name), ["Proj-backup-2021.03.09-08.00.00.log.gz", "Other.log", "Proj-backup-2021.03.10-12.00.00.log", "Proj.log"]);
+});
+
+test("gzipped logs and the logs in zip archives are read, and unreadable ones recorded", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    fs.writeFileSync(path.join(directory, "Cook.log.gz"), zlib.gzipSync("LogCook: Warning: From a gzipped log"));
+    createZip(path.join(directory, "Logs.zip"), [
+        { name: "Saved/Logs/Server.log", text: "LogNet: Warning: From a deflated log" },
+        { name: "Saved/Logs/Client.log.gz", text: zlib.gzipSync("LogNet: Warning: From a gzipped log in the archive"), method: 0 },
+        { name: "Saved/notes.json", text: "{}" },
+        { name: "Saved/Logs/Secret.log", text: "LogNet: Warning: Encrypted", method: 0, flags: 0x1 }
+    ]);
+    fs.writeFileSync(path.join(directory, "Broken.zip"), "Not an archive");
+
+    const logData = parser.parseLogFiles(["Cook.log.gz", "Logs.zip", "Broken.zip"].map(fileName => path.join(directory, fileName)), { logger: parser.silentLogger });
+
+    assert.deepStrictEqual(logData.uniqueList.map(log => log.message).sort(), ["From a deflated log", "From a gzipped log", "From a gzipped log in the archive"]);
+    assert.deepStrictEqual(logData.failedSources.map(source => path.basename(source.path)), ["Secret.log", "Broken.zip"]);
+});
+
+
+
+// ========================= Streaming =========================
+
+test("streamLogFiles matches parseLogFiles on logs larger than a read chunk", async () => {
+    // Multi byte characters, CRLF line ends and callstacks cross the chunk boundaries somewhere in here
+    const lines = [];
+    for(let i = 0; i < 3000; i++){
+        const prefix = `[2021.03.10-12.00.${String(i % 60).padStart(2, "0")}:${String(i % 1000).padStart(3, "0")}][${String(i % 1000).padStart(3)}]`;
+        if(i % 7 === 0){
+            lines.push(
+                `${prefix}LogOutputDevice: Error: Ensure condition failed: Thing ${i} é [File:D:/Src/Foo.cpp] [Line: ${i}]`,
+                "Stack: ",
+                "[Callstack] 0x00007ff6 Game.exe!UFoo::Bar() [D:/Src/Foo.cpp:12]",
+                "[Callstack] 0x00007ff7 Game.exe!UFoo::Baz() [D:/Src/Foo.cpp:40]");
+        }
+        else{
+            lines.push(`${prefix}LogTemp: Warning: Über ${i} loaded /Game/Maps/M${i % 5}`);
+        }
+    }
+    const text = lines.join("\r\n") + "\r\n";
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    fs.writeFileSync(path.join(directory, "Game.log"), text);
+    fs.writeFileSync(path.join(directory, "Game.log.gz"), zlib.gzipSync(text));
+
+    for(const fileName of ["Game.log", "Game.log.gz"]){
+        const filePath = path.join(directory, fileName);
+        const loaded = parser.parseLogFiles([filePath], {});
+        assert.strictEqual(loaded.totalCount, 3000);
+        assert.deepStrictEqual(await parser.streamLogFiles([filePath], {}), loaded);
+    }
+    assert.deepStrictEqual(parser.parseLogText(text, {}, "Game.log").uniqueList, parser.parseLogFiles([path.join(directory, "Game.log")], {}).uniqueList);
+});
+
+
+test("parsing in workers gives the same results as parsing on one thread", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    const filePaths = [];
+    for(let file = 0; file < 4; file++){
+        const lines = [];
+        for(let i = 0; i < 200; i++){
+            lines.push(`[2021.03.10-12.0${file}.${String(i % 60).padStart(2, "0")}:000][${String(i).padStart(3)}]LogTemp: ${i % 3 === 0 ? "Error" : "Warning"}: Failed ${i % 7} times on /Game/Maps/M${file}`);
+        }
+        lines.push(`[2021.03.10-12.0${file}.59:000][200]LogLoad: (Engine Initialization) Total time: 1.${file} seconds`, `[2021.03.10-12.0${file}.59:000][200]LogTemp: Warning: Only in file ${file}`);
+        // One of the files is gzipped, which the workers read the same way
+        const filePath = path.join(directory, file === 3 ? `Game${file}.log.gz` : `Game${file}.log`);
+        fs.writeFileSync(filePath, file === 3 ? zlib.gzipSync(lines.join("\n")) : lines.join("\n"));
+        filePaths.push(filePath);
+    }
+
+    for(const consolidate of [true, false]){
+        const options = { logger: parser.silentLogger, textParsing: { consolidate, maxSiblings: 5, fingerprint: { maxVariants: 2 } } };
+        const single = await parser.streamLogFiles(filePaths, options);
+        const parallel = await parser.streamLogFiles(filePaths, { ...options, textParsing: { ...options.textParsing, workers: 3 } });
+        assert.deepStrictEqual(parallel, single);
+    }
+    await assert.rejects(parser.streamLogFiles(filePaths, { logger: parser.silentLogger, textParsing: { workers: "many" } }), /should be a number of workers or "auto"/);
+});
+
+
+
+// ========================= Timestamps =========================
+
+test("parseTimestamp reads times without a time zone as UTC, like the log prefixes", () => {
+    const timeZone = process.env.TZ;
+    process.env.TZ = "America/New_York";
+    try{
+        const logTime = parser.parseTimestamp("2021.03.10-12.34.56:789");
+        assert.strictEqual(logTime.toISOString(), "2021-03-10T12:34:56.789Z");
+        assert.strictEqual(parser.parseTimestamp("2021-03-10T12:34:56.789").getTime(), logTime.getTime());
+        assert.strictEqual(parser.parseTimestamp("2021-03-10 12:34").toISOString(), "2021-03-10T12:34:00.000Z");
+        assert.strictEqual(parser.parseTimestamp("2021-03-10T12:34:56+02:00").toISOString(), "2021-03-10T10:34:56.000Z");
+    }
+    finally{
+        if(timeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = timeZone;
+    }
+});
+
+
+
+// ========================= Timeline =========================
+
+test("buildTimeline interleaves the files by their times corrected by the clock offsets", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    fs.writeFileSync(path.join(directory, "Server.log"), [
+        "[2021.03.10-12.00.01:000][  1]LogNet: Warning: Server one",
+        "[2021.03.10-12.00.03:000][  2]LogNet: Warning: Shared",
+        "[2021.03.10-12.00.05:000][  3]LogNet: Error: Server late"
+    ].join("\n"));
+    fs.writeFileSync(path.join(directory, "Client1.log"), [
+        "[2021.03.10-12.00.02:000][  1]LogNet: Warning: Client one",
+        "[2021.03.10-12.00.04:500][  2]LogNet: Warning: Shared",
+        "[2021.03.10-12.00.06:500][  3]LogNet: Warning: Client tie"
+    ].join("\n"));
+    const filePaths = [path.join(directory, "Server.log"), path.join(directory, "Client1.log")];
+
+    for(const consolidate of [true, false]){
+        const options = { logger: parser.silentLogger, textParsing: { consolidate }, timeline: { clockOffsets: { "Client1.log": "-1.5s" } } };
+        const timeline = parser.buildTimeline(parser.parseLogFiles(filePaths, options), options);
+
+        assert.deepStrictEqual(timeline.processes.map(processInfo => [processInfo.file, processInfo.role, processInfo.clockOffset]), [["Server.log", "server", 0], ["Client1.log", "client", -1500]]);
+        // Ties keep the order of the files
+        assert.deepStrictEqual(timeline.entries.map(entry => [entry.timestamp.toISOString().slice(11, 23), entry.file, entry.logText]), [
+            ["12:00:00.500", "Client1.log", "LogNet: Warning: Client one"],
+            ["12:00:01.000", "Server.log", "LogNet: Warning: Server one"],
+            ["12:00:03.000", "Server.log", "LogNet: Warning: Shared"],
+            ["12:00:03.000", "Client1.log", "LogNet: Warning: Shared"],
+            ["12:00:05.000", "Server.log", "LogNet: Error: Server late"],
+            ["12:00:05.000", "Client1.log", "LogNet: Warning: Client tie"]
+        ]);
+
+        const comparison = parser.compareProcessRoles(parser.parseLogFiles(filePaths, options), options);
+        assert.deepStrictEqual(comparison.both.map(counts => [counts.log.message, counts.serverCount, counts.clientCount]), [["Shared", 1, 1]]);
+    }
+});
+
+test("parseClockOffset reads milliseconds and seconds", () => {
+    assert.strictEqual(parser.parseClockOffset(250), 250);
+    assert.strictEqual(parser.parseClockOffset("-250ms"), -250);
+    assert.strictEqual(parser.parseClockOffset("+1.5s"), 1500);
+    assert.throws(() => parser.parseClockOffset("soon"), /Expected a clock offset/);
+});
+
+
+
+// ========================= Following Logs =========================
+
+test("followLogFile reads a large write in chunks without splitting lines or characters", () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "Follow.log");
+    fs.writeFileSync(filePath, "");
+    const follower = parser.followLogFile(filePath, { watch: { interval: 60000 } });
+    try{
+        const lines = [];
+        for(let i = 0; i < 5000; i++){
+            lines.push(`[2021.03.10-12.00.00:000][${i % 100}]LogTemp: Warning: Température ${i % 7} ${"é".repeat(i % 50)}`);
+        }
+        fs.appendFileSync(filePath, lines.join("\n") + "\n");
+        follower.poll();
+    }
+    finally{
+        follower.close();
+        fs.rmSync(path.dirname(filePath), { recursive: true });
+    }
+
+    assert.strictEqual(follower.logData.totalCount, 5000);
+    assert.ok(follower.logData.uniqueList.every(log => !log.logText.includes("\uFFFD")));
+});
+
+test("followLogFile reads the unterminated last line of a log before it is truncated", () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "Follow.log");
+    fs.writeFileSync(filePath, "[2021.03.10-12.00.00:000][  0]LogTemp: Warning: Before\n[2021.03.10-12.00.01:000][  1]LogWindows: Error: Fatal crash");
+    const logTexts = [];
+    const follower = parser.followLogFile(filePath, { watch: { interval: 60000 } }, {
+        onEntries: (updates) => logTexts.push(...updates.map(update => update.entry.logText))
+    });
+    try{
+        fs.writeFileSync(filePath, "[2021.03.10-12.00.02:000][  0]LogTemp: Warning: After\n");
+        follower.poll();
+    }
+    finally{
+        follower.close();
+        fs.rmSync(path.dirname(filePath), { recursive: true });
+    }
+
+    assert.deepStrictEqual(logTexts, ["LogTemp: Warning: Before", "LogWindows: Error: Fatal crash", "LogTemp: Warning: After"]);
+});
+
+test("followLogFile waits for the settle time before finishing the last log", () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-")), "Follow.log");
+    fs.writeFileSync(filePath, "");
+    const follower = parser.followLogFile(filePath, { watch: { interval: 60000, settleTime: 60000 }, textParsing: { multiLine: { enabled: true } } });
+    try{
+        fs.appendFileSync(filePath, "[2021.03.10-12.00.00:000][  5]LogOutputDevice: Error: === Handled ensure: ===\n");
+        follower.poll();
+        follower.poll();
+        assert.strictEqual(follower.logData.totalCount, 0);
+
+        fs.appendFileSync(filePath, "[2021.03.10-12.00.00:000][  5]LogOutputDevice: Error: [Callstack] 0x00007ffb4f8a1234 UE4Editor-Engine.dll!UFoo::Bar() [D:\\Foo.cpp:123]\n");
+        follower.poll();
+    }
+    finally{
+        follower.close();
+        fs.rmSync(path.dirname(filePath), { recursive: true });
+    }
+
+    assert.strictEqual(follower.logData.totalCount, 1);
+    assert.strictEqual(follower.logData.uniqueList[0].callstack.length, 1);
+});
@@ -0,0 +1,77 @@
+// Load dependencies
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const childProcess = require("child_process");
+const test = require("node:test");
+const assert = require("assert");
+
+const cliPath = path.join(__dirname, "..", "UELogParserCLI.js");
+
+
+
+// ========================= Helpers =========================
+
+/**
+ * @function runCli
+ * @description Runs the command line in a new folder holding a settings file and a log
+ * 
+ * @param {Array.<string>} args Arguments after the settings file and before the log
+ * @param {Object} settings Settings written to the settings file
+ * @param {string} logText
+ * 
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runCli(args, settings, logText){
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "uelogparser-"));
+    fs.writeFileSync(path.join(directory, "Settings.json"), JSON.stringify({ textLoading: { directory: null }, ...settings }));
+    fs.writeFileSync(path.join(directory, "Game.log"), logText);
+
+    const result = childProcess.spawnSync(process.execPath, [cliPath, "-c", "Settings.json", ...args, "Game.log"], {
+        cwd: directory,
+        encoding: "utf-8",
+        timeout: 30000,
+        env: { ...process.env, FORCE_COLOR: "0" }
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+
+
+// ========================= Flags =========================
+
+const logText = "LogTemp: Warning: Only a warning\r\nLogTemp: Error: An error\r\n";
+const settings = { display: { logList: false, filters: { severity: { minimum: "Error" } } } };
+
+test("the settings file applies without flags", () => {
+    const { status, stdout } = runCli(["--no-output"], settings, logText);
+
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /Log Count: 1\b/);
+    assert.doesNotMatch(stdout, /Log List/);
+});
+
+test("flags override the values of the settings file", () => {
+    const { status, stdout } = runCli(["--no-output", "-s", "Warning", "--log-list"], settings, logText);
+
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /Log Count: 2\b/);
+    assert.match(stdout, /Only a warning/);
+});
+
+test("unknown flags and invalid values exit with the failure code and the usage", () => {
+    const unknown = runCli(["--bogus"], settings, logText);
+    assert.strictEqual(unknown.status, 3);
+    assert.match(unknown.stderr, /Unknown flag --bogus/);
+    assert.match(unknown.stderr, /Usage: uelogparser/);
+
+    const invalid = runCli(["--no-output", "--min-severity", "Loud"], settings, logText);
+    assert.strictEqual(invalid.status, 3);
+});
+
+test("--help prints the usage and exits successfully", () => {
+    const { status, stdout } = runCli(["--help"], settings, logText);
+
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /--min-severity <level>/);
+});
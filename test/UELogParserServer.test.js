@@ -0,0 +1,98 @@
+// Load dependencies
+const test = require("node:test");
+const assert = require("assert");
+const parser = require("../UELogParser.js");
+const { createDashboardServer } = require("../UELogParserServer.js");
+
+
+
+// ========================= Helpers =========================
+
+/**
+ * @function withDashboard
+ * @description Serves the logs on a free port for the length of a test
+ * 
+ * @param {string} text Log text parsed for the dashboard
+ * @param {Object} options
+ * @param {function(function(string):Promise.<{status: number, body: Object}>):Promise} run Receives a function which gets a path of the dashboard
+ */
+async function withDashboard(text, options, run){
+    const logData = parser.parseLogText(text, options);
+    const server = createDashboardServer(logData, options);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    const get = async (urlPath) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${urlPath}`);
+        return { status: response.status, body: await response.json() };
+    };
+    try{
+        await run(get);
+    }
+    finally{
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+const logText = [
+    "LogTemp: Warning: Third",
+    "LogTemp: Warning: Third",
+    "LogTemp: Warning: Third",
+    "LogNet: Error: First",
+    "LogNet: Error: First",
+    "LogTemp: Display: Hidden",
+    "LogTemp: Warning: Once"
+].join("\n");
+const options = { logger: parser.silentLogger, display: { filters: { severity: { minimum: "Warning" } } } };
+
+
+
+// ========================= API =========================
+
+test("/api/logs pages the logs sorted by count", async () => {
+    await withDashboard(logText, options, async (get) => {
+        const first = await get("/api/logs?pageSize=2");
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.total, 3);
+        assert.deepStrictEqual(first.body.logs.map(log => [log.message, log.count]), [["Third", 3], ["First", 2]]);
+
+        const second = await get("/api/logs?pageSize=2&page=2");
+        assert.deepStrictEqual(second.body.logs.map(log => log.message), ["Once"]);
+
+        const ascending = await get("/api/logs?sort=count&order=asc&filtered=false");
+        assert.deepStrictEqual(ascending.body.logs.map(log => log.message), ["Hidden", "Once", "First", "Third"]);
+    });
+});
+
+test("/api/logs filters by type, category and text", async () => {
+    await withDashboard(logText, options, async (get) => {
+        const errors = await get("/api/logs?type=Error");
+        assert.deepStrictEqual(errors.body.logs.map(log => log.message), ["First"]);
+
+        const temp = await get("/api/logs?category=LogTemp&text=ONCE");
+        assert.deepStrictEqual(temp.body.logs.map(log => log.message), ["Once"]);
+    });
+});
+
+test("unknown sort fields get a 400 and unknown logs a 404", async () => {
+    await withDashboard(logText, options, async (get) => {
+        const badSort = await get("/api/logs?sort=colour");
+        assert.strictEqual(badSort.status, 400);
+        assert.match(badSort.body.error, /Unknown sort field colour/);
+
+        for(const urlPath of ["/api/logs/999", "/api/logs/999/siblings", "/api/nothing"]){
+            const missing = await get(urlPath);
+            assert.strictEqual(missing.status, 404, urlPath);
+        }
+    });
+});
+
+test("/api/logs/<id>/siblings pages the occurrences of a log", async () => {
+    await withDashboard(logText, options, async (get) => {
+        const [third] = (await get("/api/logs?pageSize=1")).body.logs;
+        const siblings = await get(`/api/logs/${third.id}/siblings?pageSize=2&page=2`);
+
+        assert.strictEqual(siblings.status, 200);
+        assert.strictEqual(siblings.body.total, 3);
+        assert.strictEqual(siblings.body.occurrences.length, 1);
+    });
+});